@@ -0,0 +1,832 @@
+/**
+ * Partner Data Validation Module
+ * 
+ * Shared rules for the partner directory records in data/partners.json.
+ * The web page uses them to check the dataset when it loads, and the Node
+ * tools in tools/ use the same rules, so a record that passes one passes
+ * the other.
+ * 
+ * Works as a plain browser script (exposes window.PartnerValidation) and as
+ * a CommonJS module (require('./partner-validation')).
+ * 
+ * @fileoverview Partner record validation shared by the browser and Node tools
+ * @version 1.0.0
+ * 
+ * @example
+ * // Browser
+ * const result = PartnerValidation.validatePartnerData(partners, categories);
+ * 
+ * // Node
+ * const { validatePartnerData } = require('./partner-validation');
+ */
+const PartnerValidation = (function () {
+    'use strict';
+    
+    // Area a service covers, mapped to the translation key of its label
+    const SERVICE_AREA_KEYS = {
+        'local': 'areaLocal',
+        'region': 'areaRegion',
+        'statewide': 'areaStatewide',
+        'national': 'areaNational'
+    };
+    
+    // Ways a service is delivered, mapped to the translation key of their label
+    const DELIVERY_MODE_KEYS = {
+        'in-person': 'deliveryInPerson',
+        'phone': 'deliveryPhone',
+        'online': 'deliveryOnline'
+    };
+    
+    // Cost levels, mapped to the translation key of their badge
+    const COST_KEYS = {
+        'free': 'costFree',
+        'low-cost': 'costLowCost',
+        'fee': 'costFee'
+    };
+    
+    // Groups a service is designed for, mapped to the translation key of their label
+    const TARGET_GROUP_KEYS = {
+        'first-nations': 'groupFirstNations',
+        'young-people': 'groupYoungPeople',
+        'older-people': 'groupOlderPeople',
+        'families': 'groupFamilies',
+        'carers': 'groupCarers',
+        'people-with-disability': 'groupDisability',
+        'lgbtqia': 'groupLgbtqia',
+        'multicultural': 'groupMulticultural',
+        'victims-of-crime': 'groupVictimsOfCrime'
+    };
+    
+    // Extra contact channels, mapped to the translation key of their label
+    const CONTACT_TYPE_KEYS = {
+        'sms': 'contactSms',
+        'webchat': 'contactWebchat',
+        'tty': 'contactTty',
+        'nrs': 'contactNrs',
+        'interpreter': 'contactInterpreter'
+    };
+    
+    // Weekday keys used in partner opening hours, in display order
+    const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+    
+    // Opening hours are always evaluated in the library's own time zone
+    const SERVICE_TIME_ZONE = 'Australia/Sydney';
+    
+    // Records whose details were last checked longer ago than this are reported as stale.
+    // The partner dataset can override it with a top-level "staleAfterMonths" value.
+    const DEFAULT_STALE_AFTER_MONTHS = 12;
+    
+    // Partner sites must fall inside the greater Sydney region
+    const SYDNEY_BOUNDS = { south: -34.4, north: -33.4, west: 150.5, east: 151.4 };
+    
+    // A site further than this from the centroid of the suburb in its address is reported
+    const SUBURB_MISMATCH_KM = 3;
+    
+    /**
+     * Validates partner data structure and content
+     * 
+     * Performs comprehensive validation of partner organization data including
+     * required fields, data types, email format, URL validity, unique ids and slugs,
+     * and duplicate detection.
+     * Records that have never been verified, or were verified longer ago than
+     * the stale age, produce warnings. Site coordinates are checked against the
+     * Sydney region, for swapped latitude and longitude, for sites at different
+     * addresses sharing one point, and against the suburb named in the address.
+     * 
+     * @param {Array<Object>} partners - Array of partner organization objects
+     * @param {string} partners[].id - Permanent record id, never reused or changed
+     * @param {string} partners[].slug - Unique URL-safe name used in links, e.g. "3bridges-community"
+     * @param {string} partners[].name - Organization name
+     * @param {Array<string>} partners[].categories - Category ids from the registry (at least one)
+     * @param {Array<string>} partners[].languages - Supported languages
+     * @param {Object} partners[].description - Multilingual descriptions
+     * @param {Array<Object>} partners[].locations - Sites of the service (empty for phone and online services)
+     * @param {string} [partners[].locations[].name] - Site name, shown when there is more than one site
+     * @param {string} [partners[].locations[].address] - Physical address of the site
+     * @param {number|null} partners[].locations[].lat - Latitude coordinate
+     * @param {number|null} partners[].locations[].lng - Longitude coordinate
+     * @param {Object} [partners[].locations[].hours] - Opening hours of the site, overriding the partner's hours
+     * @param {string} partners[].serviceArea - Area covered: local, region, statewide or national
+     * @param {Array<string>} partners[].delivery - Delivery modes: in-person, phone and/or online
+     * @param {Object} [partners[].hours] - Opening hours (see validateOpeningHours)
+     * @param {Object} [partners[].ageRange] - Eligible ages as { min, max }; either bound may be left out
+     * @param {string} [partners[].cost] - Cost level: free, low-cost or fee
+     * @param {boolean} [partners[].referralRequired] - True if patrons need a referral
+     * @param {Array<string>} [partners[].targetGroups] - Groups the service is designed for
+     * @param {string} partners[].phone - Contact phone number
+     * @param {string} partners[].email - Contact email address
+     * @param {Array<Object>} [partners[].contacts] - Extra contact channels as { type, value }:
+     *   "webchat" has a chat page URL; "sms", "tty" and "interpreter" have a phone number;
+     *   "nrs" has the number to ask for through the National Relay Service
+     * @param {string} partners[].website - Organization website URL
+     * @param {string} [partners[].lastVerified] - Date the details were last checked ("YYYY-MM-DD")
+     * @param {string} [partners[].verifiedBy] - Who checked the details
+     * @param {Array<Object>} categories - Category registry entries; partner categories must match an id
+     * @param {Object} [options] - Validation options
+     * @param {number} [options.staleAfterMonths=DEFAULT_STALE_AFTER_MONTHS] - Age in months after which a record is stale
+     * @param {string} [options.today] - Today's date ("YYYY-MM-DD"); defaults to today in Sydney
+     * @param {Array<Object>} [options.suburbs] - Suburb centroids ({ name, postcode, lat, lng }) for the address check
+     * 
+     * @returns {Object} Validation result object
+     * @returns {Array<string>} returns.errors - Array of validation errors
+     * @returns {Array<string>} returns.warnings - Array of validation warnings
+     * @returns {boolean} returns.isValid - True if no errors found
+     * 
+     * @example
+     * const result = validatePartnerData(partners, categoryRegistry, { staleAfterMonths: 6 });
+     * if (result.isValid) {
+     *   console.log('Data is valid');
+     * } else {
+     *   console.error('Validation errors:', result.errors);
+     * }
+     */
+    function validatePartnerData(partners, categories, options = {}) {
+        const errors = [];
+        const warnings = [];
+        
+        const validCategories = categories.map(category => category.id);
+        const staleAfterMonths = options.staleAfterMonths || DEFAULT_STALE_AFTER_MONTHS;
+        const today = options.today || getServiceTime().date;
+        const suburbs = options.suburbs || [];
+        const sitesByPoint = new Map();
+        
+        // Address, email and coordinates are optional: phone and online services have none
+        const requiredFields = ['id', 'slug', 'name', 'categories', 'languages', 'description', 'serviceArea', 'delivery', 'phone', 'website'];
+        
+        partners.forEach((partner, index) => {
+            // Check required fields
+            requiredFields.forEach(field => {
+                if (!partner[field]) {
+                    errors.push(`Partner ${index} (${partner.name || 'Unknown'}): Missing ${field}`);
+                }
+            });
+            
+            // Validate slug format (lowercase letters, digits and single hyphens)
+            if (partner.slug && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(partner.slug)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid slug '${partner.slug}'`);
+            }
+            
+            // Validate locations (coordinates are both numbers, or both null for a site without a map marker)
+            if (!Array.isArray(partner.locations)) {
+                errors.push(`Partner ${index} (${partner.name}): Locations must be a list`);
+            } else if (partner.locations.length === 0) {
+                // Phone and online services have no sites to visit, so an empty list is expected
+                if (isSiteBased(partner)) {
+                    warnings.push(`Partner ${index} (${partner.name}): No locations, listed without a map marker`);
+                }
+            } else {
+                partner.locations.forEach((location, siteIndex) => {
+                    const noCoordinates = location.lat == null && location.lng == null;
+                    if (!hasCoordinates(location) && !noCoordinates) {
+                        errors.push(`Partner ${index} (${partner.name}): Invalid coordinates for location ${siteIndex}`);
+                    } else if (noCoordinates && !location.address) {
+                        warnings.push(`Partner ${index} (${partner.name}): Location ${siteIndex} has no address or coordinates`);
+                    } else if (hasCoordinates(location)) {
+                        checkSiteCoordinates(location, `Partner ${index} (${partner.name}) location ${siteIndex}`, suburbs, errors, warnings);
+                        
+                        const point = `${location.lat}, ${location.lng}`;
+                        if (!sitesByPoint.has(point)) {
+                            sitesByPoint.set(point, []);
+                        }
+                        sitesByPoint.get(point).push({ name: partner.name, address: location.address || '' });
+                    }
+                    if (partner.locations.length > 1 && !location.name && !location.address) {
+                        errors.push(`Partner ${index} (${partner.name}): Location ${siteIndex} needs a name or address to tell it apart`);
+                    }
+                    if (location.hours !== undefined) {
+                        validateOpeningHours(location.hours, `Partner ${index} (${partner.name}) location ${siteIndex}`, errors, warnings);
+                    }
+                });
+            }
+            
+            // Validate service area and delivery modes
+            if (partner.serviceArea && !(partner.serviceArea in SERVICE_AREA_KEYS)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid service area '${partner.serviceArea}'`);
+            }
+            if (!Array.isArray(partner.delivery) || partner.delivery.length === 0) {
+                errors.push(`Partner ${index} (${partner.name}): No delivery modes specified`);
+            } else {
+                partner.delivery.forEach(mode => {
+                    if (!(mode in DELIVERY_MODE_KEYS)) {
+                        errors.push(`Partner ${index} (${partner.name}): Invalid delivery mode '${mode}'`);
+                    }
+                });
+                
+                // Phone and online services have no site to visit, so they must not be pinned to the map
+                if (!isSiteBased(partner) && Array.isArray(partner.locations) && partner.locations.some(hasCoordinates)) {
+                    errors.push(`Partner ${index} (${partner.name}): Coordinates given for a service without in-person delivery`);
+                }
+            }
+            
+            // Validate opening hours (optional: services without published hours are never shown as open)
+            if (partner.hours !== undefined) {
+                validateOpeningHours(partner.hours, `Partner ${index} (${partner.name})`, errors, warnings);
+            }
+            
+            // Validate eligibility and cost (all optional: unknown values are not shown)
+            if (partner.cost !== undefined && !(partner.cost in COST_KEYS)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid cost '${partner.cost}'`);
+            }
+            if (partner.referralRequired !== undefined && typeof partner.referralRequired !== 'boolean') {
+                errors.push(`Partner ${index} (${partner.name}): referralRequired must be true or false`);
+            }
+            if (partner.targetGroups !== undefined) {
+                if (!Array.isArray(partner.targetGroups)) {
+                    errors.push(`Partner ${index} (${partner.name}): Target groups must be a list`);
+                } else {
+                    partner.targetGroups.forEach(group => {
+                        if (!(group in TARGET_GROUP_KEYS)) {
+                            errors.push(`Partner ${index} (${partner.name}): Invalid target group '${group}'`);
+                        }
+                    });
+                }
+            }
+            if (partner.ageRange !== undefined) {
+                const { min, max } = partner.ageRange || {};
+                const isAge = value => value === undefined || (Number.isInteger(value) && value >= 0 && value <= 120);
+                if (!isAge(min) || !isAge(max) || (min === undefined && max === undefined) || (min !== undefined && max !== undefined && min > max)) {
+                    errors.push(`Partner ${index} (${partner.name}): Invalid age range`);
+                }
+            }
+            
+            // Check how recently the details were confirmed
+            if (partner.lastVerified === undefined) {
+                warnings.push(`Partner ${index} (${partner.name}): Details have never been verified`);
+            } else if (!isValidDate(partner.lastVerified)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid lastVerified date '${partner.lastVerified}'`);
+            } else if (partner.lastVerified > today) {
+                errors.push(`Partner ${index} (${partner.name}): lastVerified date is in the future`);
+            } else {
+                const age = monthsBetween(partner.lastVerified, today);
+                if (age >= staleAfterMonths) {
+                    warnings.push(`Partner ${index} (${partner.name}): Details last verified ${age} months ago`);
+                }
+                if (!partner.verifiedBy) {
+                    warnings.push(`Partner ${index} (${partner.name}): lastVerified has no verifiedBy`);
+                }
+            }
+            
+            // Validate categories (every entry must exist in the taxonomy)
+            if (!Array.isArray(partner.categories) || partner.categories.length === 0) {
+                errors.push(`Partner ${index} (${partner.name}): No categories specified`);
+            } else {
+                partner.categories.forEach(categoryId => {
+                    if (!validCategories.includes(categoryId)) {
+                        errors.push(`Partner ${index} (${partner.name}): Invalid category '${categoryId}'`);
+                    }
+                });
+                if (new Set(partner.categories).size !== partner.categories.length) {
+                    warnings.push(`Partner ${index} (${partner.name}): Category listed more than once`);
+                }
+            }
+            
+            // Validate phone numbers (the partner number is required; site numbers are optional)
+            if (partner.phone && !parsePhoneNumber(partner.phone)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid phone number '${partner.phone}'`);
+            }
+            if (Array.isArray(partner.locations)) {
+                partner.locations.forEach((location, siteIndex) => {
+                    if (location.phone && !parsePhoneNumber(location.phone)) {
+                        errors.push(`Partner ${index} (${partner.name}): Invalid phone number '${location.phone}' for location ${siteIndex}`);
+                    }
+                });
+            }
+            
+            // Validate extra contact channels (optional)
+            if (partner.contacts !== undefined) {
+                if (!Array.isArray(partner.contacts)) {
+                    errors.push(`Partner ${index} (${partner.name}): Contacts must be a list`);
+                } else {
+                    partner.contacts.forEach((contact, contactIndex) => {
+                        validateContact(contact, `Partner ${index} (${partner.name}) contact ${contactIndex}`, errors);
+                    });
+                }
+            }
+            
+            // Validate email format
+            if (partner.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(partner.email)) {
+                errors.push(`Partner ${index} (${partner.name}): Invalid email format`);
+            }
+            
+            // Validate website URL
+            if (partner.website) {
+                try {
+                    new URL(partner.website);
+                } catch (e) {
+                    errors.push(`Partner ${index} (${partner.name}): Invalid website URL`);
+                }
+            }
+            
+            // Check for English description
+            if (!partner.description || !partner.description.English) {
+                errors.push(`Partner ${index} (${partner.name}): Missing English description`);
+            }
+            
+            // Validate languages array
+            if (!Array.isArray(partner.languages) || partner.languages.length === 0) {
+                warnings.push(`Partner ${index} (${partner.name}): No languages specified`);
+            }
+        });
+        
+        // Sites at different addresses should not share one point: usually a copied placeholder
+        sitesByPoint.forEach((sites, point) => {
+            const addresses = new Set(sites.map(site => site.address.toLowerCase()));
+            if (addresses.size > 1) {
+                const siteList = sites.map(site => `${site.name} (${site.address || 'no address'})`).join('; ');
+                warnings.push(`Sites at different addresses share coordinates ${point}: ${siteList}`);
+            }
+        });
+        
+        // Ids and slugs identify records in links, so they must be unique
+        ['id', 'slug'].forEach(field => {
+            const values = partners.map(p => p[field]).filter(Boolean);
+            const repeated = values.filter((value, index) => values.indexOf(value) !== index);
+            if (repeated.length > 0) {
+                errors.push(`Duplicate ${field}s found: ${[...new Set(repeated)].join(', ')}`);
+            }
+        });
+        
+        // Check for duplicate names (allowed, but usually a mistake)
+        const names = partners.map(p => p.name);
+        const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+        if (duplicates.length > 0) {
+            warnings.push(`Duplicate names found: ${[...new Set(duplicates)].join(', ')}`);
+        }
+        
+        return { errors, warnings, isValid: errors.length === 0 };
+    }
+    
+    /**
+     * Validates an opening hours object
+     * 
+     * Hours are either a 24/7 flag or weekly periods per day, with optional
+     * exception dates that replace the weekly periods for that date and an
+     * optional public holiday override.
+     * 
+     * @param {Object} hours - Opening hours to check
+     * @param {boolean} [hours.alwaysOpen] - True for a 24/7 service
+     * @param {Object<string, Array<string>>} [hours.weekly] - Periods such as "09:00-17:00", keyed by mon...sun
+     * @param {Array<Object>} [hours.exceptions] - Entries with a "YYYY-MM-DD" date and either closed: true or periods
+     * @param {string|Array<string>} [hours.publicHolidays] - "closed", "normal", or reduced periods for public holidays
+     * @param {string} label - Record label used in messages
+     * @param {Array<string>} errors - Error list to append to
+     * @param {Array<string>} warnings - Warning list to append to
+     * 
+     * @example
+     * validateOpeningHours({ weekly: { mon: ['09:00-17:00'] } }, 'Partner 0 (Example)', errors, warnings);
+     */
+    function validateOpeningHours(hours, label, errors, warnings) {
+        if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+            errors.push(`${label}: Opening hours must be an object`);
+            return;
+        }
+        
+        if (hours.alwaysOpen !== undefined && typeof hours.alwaysOpen !== 'boolean') {
+            errors.push(`${label}: alwaysOpen must be true or false`);
+        }
+        
+        const checkPeriods = (periods, where) => {
+            if (!Array.isArray(periods)) {
+                errors.push(`${label}: Opening hours for ${where} must be a list`);
+                return;
+            }
+            periods.forEach(range => {
+                if (!parseTimeRange(range)) {
+                    errors.push(`${label}: Invalid opening hours '${range}' for ${where}`);
+                }
+            });
+        };
+        
+        if (hours.weekly !== undefined && (typeof hours.weekly !== 'object' || hours.weekly === null || Array.isArray(hours.weekly))) {
+            errors.push(`${label}: Weekly opening hours must be an object keyed by day`);
+        } else if (hours.weekly !== undefined) {
+            Object.keys(hours.weekly).forEach(day => {
+                if (!WEEKDAY_KEYS.includes(day)) {
+                    errors.push(`${label}: Unknown day '${day}' in opening hours`);
+                } else {
+                    checkPeriods(hours.weekly[day], day);
+                }
+            });
+        } else if (!hours.alwaysOpen) {
+            warnings.push(`${label}: Opening hours have no weekly times`);
+        }
+        
+        if (hours.publicHolidays !== undefined && hours.publicHolidays !== 'closed' && hours.publicHolidays !== 'normal') {
+            checkPeriods(hours.publicHolidays, 'public holidays');
+        }
+        
+        if (hours.exceptions !== undefined) {
+            if (!Array.isArray(hours.exceptions)) {
+                errors.push(`${label}: Opening hours exceptions must be a list`);
+                return;
+            }
+            hours.exceptions.forEach((exception, exceptionIndex) => {
+                if (!exception || typeof exception !== 'object' || Array.isArray(exception)) {
+                    errors.push(`${label}: Opening hours exception ${exceptionIndex} must be an object`);
+                    return;
+                }
+                if (!isValidDate(exception.date)) {
+                    errors.push(`${label}: Invalid exception date '${exception.date}'`);
+                }
+                if (exception.closed !== true) {
+                    checkPeriods(exception.periods, exception.date);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Sanity-checks the coordinates of one partner site
+     * 
+     * Reports swapped latitude and longitude and points outside the Sydney
+     * region as errors. A point far from the centroid of the suburb named in
+     * the address is reported as a warning.
+     * 
+     * @param {Object} location - Partner location with numeric lat and lng
+     * @param {string} label - Record label used in messages
+     * @param {Array<Object>} suburbs - Suburb centroids ({ name, postcode, lat, lng })
+     * @param {Array<string>} errors - Error list to append to
+     * @param {Array<string>} warnings - Warning list to append to
+     */
+    function checkSiteCoordinates(location, label, suburbs, errors, warnings) {
+        const { lat, lng } = location;
+        const inBounds = (latitude, longitude) => latitude >= SYDNEY_BOUNDS.south && latitude <= SYDNEY_BOUNDS.north &&
+            longitude >= SYDNEY_BOUNDS.west && longitude <= SYDNEY_BOUNDS.east;
+        
+        if (inBounds(lat, lng)) {
+            // In range: check the point against the suburb named in the address
+            const suburb = findSuburbInAddress(location.address, suburbs);
+            if (suburb) {
+                const distance = distanceKm(location, suburb);
+                if (distance > SUBURB_MISMATCH_KM) {
+                    warnings.push(`${label}: Coordinates are ${distance.toFixed(1)} km from ${suburb.name}, the suburb in its address`);
+                }
+            }
+        } else if (inBounds(lng, lat)) {
+            errors.push(`${label}: Latitude and longitude look swapped (${lat}, ${lng})`);
+        } else {
+            errors.push(`${label}: Coordinates ${lat}, ${lng} are outside the Sydney region`);
+        }
+    }
+    
+    /**
+     * Finds the suburb named in an address
+     * 
+     * Addresses end with their suburb ("36 Turner Street, Redfern"), so the
+     * comma-separated parts are checked from last to first, ignoring state,
+     * country and postcode parts. Matching ignores case and hyphens.
+     * 
+     * @param {string} [address] - Street address
+     * @param {Array<Object>} suburbs - Suburb centroids ({ name, postcode, lat, lng })
+     * @returns {Object|null} Matching suburb entry, or null if none is named
+     * 
+     * @example
+     * findSuburbInAddress('Corner of Moate Avenue & Princess Street, Brighton Le Sands', suburbs).name; // 'Brighton-Le-Sands'
+     */
+    function findSuburbInAddress(address, suburbs) {
+        if (!address || suburbs.length === 0) {
+            return null;
+        }
+        
+        const normalise = text => text.toLowerCase().replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+        const parts = address.split(',').map(part => normalise(part.replace(/\b(nsw|australia|\d{4})\b/gi, ''))).reverse();
+        
+        for (const part of parts) {
+            const matches = suburbs.filter(suburb => {
+                const name = normalise(suburb.name);
+                return part === name || part.endsWith(` ${name}`);
+            });
+            if (matches.length > 0) {
+                // Prefer the longest name, so "Bexley North" wins over "North"
+                return matches.sort((a, b) => b.name.length - a.name.length)[0];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Calculates the great-circle distance between two points
+     * 
+     * Uses the haversine formula with a mean Earth radius of 6371 km.
+     * 
+     * @param {Object} from - Point with lat and lng in degrees
+     * @param {Object} to - Point with lat and lng in degrees
+     * @returns {number} Distance in kilometres
+     * 
+     * @example
+     * distanceKm({ lat: -33.967, lng: 151.102 }, { lat: -33.963, lng: 151.133 }); // about 2.9
+     */
+    function distanceKm(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.lat - from.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+    
+    /**
+     * Checks that a value is a real calendar date in "YYYY-MM-DD" form
+     * 
+     * @param {*} value - Value to check
+     * @returns {boolean} True for dates such as "2026-10-19"; false for "2026-02-30"
+     */
+    function isValidDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value : '');
+        if (!match) {
+            return false;
+        }
+        return new Date(Date.UTC(match[1], match[2] - 1, match[3])).toISOString().slice(0, 10) === value;
+    }
+    
+    /**
+     * Counts the whole months between two "YYYY-MM-DD" dates
+     * 
+     * @param {string} from - Earlier date
+     * @param {string} to - Later date
+     * @returns {number} Number of complete months
+     * 
+     * @example
+     * monthsBetween('2025-10-20', '2026-10-19'); // 11
+     */
+    function monthsBetween(from, to) {
+        const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+        const [toYear, toMonth, toDay] = to.split('-').map(Number);
+        return (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+    }
+    
+    /**
+     * Parses an opening period such as "09:00-17:00"
+     * 
+     * @param {string} range - Period in 24-hour time; "24:00" may be used as the closing time
+     * @returns {Object|null} { opens, closes } in minutes after midnight, or null if invalid
+     * 
+     * @example
+     * parseTimeRange('09:30-17:00'); // { opens: 570, closes: 1020 }
+     */
+    function parseTimeRange(range) {
+        const match = /^([01]\d|2[0-4]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/.exec(range);
+        if (!match) {
+            return null;
+        }
+        
+        const opens = match[1] * 60 + Number(match[2]);
+        const closes = match[3] * 60 + Number(match[4]);
+        if (opens >= 24 * 60 || closes > 24 * 60 || opens >= closes) {
+            return null;
+        }
+        return { opens, closes };
+    }
+    
+    /**
+     * Returns the current date, weekday and time in Sydney
+     * 
+     * Opening hours are published in Sydney time, so they are evaluated there
+     * no matter which time zone the patron's device uses.
+     * 
+     * @param {Date} [date=new Date()] - Moment to convert
+     * @returns {Object} { date: 'YYYY-MM-DD', weekday: 'mon'...'sun', minutes: minutes after midnight }
+     */
+    function getServiceTime(date = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: SERVICE_TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: parts.weekday.slice(0, 3).toLowerCase(),
+            minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+        };
+    }
+    
+    /**
+     * Validates a search synonym dictionary (data/synonyms/<language>.json)
+     * 
+     * Each entry maps search terms to category ids, partner ids or both. A
+     * term listed twice in the same dictionary is reported as a warning.
+     * 
+     * @param {Object} dictionary - Parsed dictionary as { language, entries }
+     * @param {Array<Object>} dictionary.entries - Entries as { terms, categories, partners }
+     * @param {Array<Object>} partners - Partner records; entry partners must match an id
+     * @param {Array<Object>} categories - Category registry entries; entry categories must match an id
+     * @returns {Object} { errors, warnings, isValid }
+     * 
+     * @example
+     * const result = validateSynonyms(englishSynonyms, partners, categoryRegistry);
+     * result.errors.forEach(error => console.error(error));
+     */
+    function validateSynonyms(dictionary, partners, categories) {
+        const errors = [];
+        const warnings = [];
+        const language = (dictionary && dictionary.language) || 'Unknown';
+        
+        if (!dictionary || !Array.isArray(dictionary.entries)) {
+            errors.push(`${language} synonyms: Entries must be a list`);
+            return { errors, warnings, isValid: false };
+        }
+        
+        const validCategories = categories.map(category => category.id);
+        const validPartners = partners.map(partner => partner.id);
+        const seenTerms = new Set();
+        
+        dictionary.entries.forEach((entry, index) => {
+            const label = `${language} synonyms entry ${index}`;
+            if (!entry || !Array.isArray(entry.terms) || entry.terms.length === 0) {
+                errors.push(`${label}: No terms specified`);
+                return;
+            }
+            entry.terms.forEach(term => {
+                if (typeof term !== 'string' || !term.trim()) {
+                    errors.push(`${label}: Terms must be non-empty text`);
+                } else if (seenTerms.has(term.toLowerCase())) {
+                    warnings.push(`${label}: Term '${term}' is listed more than once`);
+                } else {
+                    seenTerms.add(term.toLowerCase());
+                }
+            });
+            
+            const entryCategories = entry.categories || [];
+            const entryPartners = entry.partners || [];
+            if (!Array.isArray(entryCategories) || !Array.isArray(entryPartners)) {
+                errors.push(`${label}: Categories and partners must be lists`);
+                return;
+            }
+            if (entryCategories.length === 0 && entryPartners.length === 0) {
+                errors.push(`${label}: Needs at least one category or partner`);
+            }
+            entryCategories.forEach(categoryId => {
+                if (!validCategories.includes(categoryId)) {
+                    errors.push(`${label}: Invalid category '${categoryId}'`);
+                }
+            });
+            entryPartners.forEach(partnerId => {
+                if (!validPartners.includes(partnerId)) {
+                    errors.push(`${label}: Unknown partner id '${partnerId}'`);
+                }
+            });
+        });
+        
+        return { errors, warnings, isValid: errors.length === 0 };
+    }
+    
+    /**
+     * Validates one entry of a partner's contacts list
+     * 
+     * @param {Object} contact - Contact entry as { type, value }
+     * @param {string} label - Record label used in messages
+     * @param {Array<string>} errors - Error list to add to
+     * 
+     * @example
+     * validateContact({ type: 'sms', value: '0477 13 11 14' }, 'Partner 26 (Lifeline) contact 0', errors);
+     */
+    function validateContact(contact, label, errors) {
+        if (!contact || typeof contact !== 'object') {
+            errors.push(`${label}: Contact must be an object`);
+            return;
+        }
+        if (!(contact.type in CONTACT_TYPE_KEYS)) {
+            errors.push(`${label}: Invalid contact type '${contact.type}'`);
+            return;
+        }
+        if (!contact.value) {
+            errors.push(`${label}: Missing value`);
+            return;
+        }
+        
+        if (contact.type === 'webchat') {
+            let url = null;
+            try {
+                url = new URL(contact.value);
+            } catch (e) {
+                // Reported below
+            }
+            if (!url || url.protocol !== 'https:') {
+                errors.push(`${label}: Web chat must be an https URL`);
+            }
+        } else if (!parsePhoneNumber(contact.value)) {
+            errors.push(`${label}: Invalid phone number '${contact.value}'`);
+        }
+    }
+    
+    /**
+     * Parses an Australian phone number
+     * 
+     * Accepts the number as staff usually type it, with or without spaces,
+     * brackets or a +61 prefix. Returns the E.164 form used in tel: links and
+     * the Australian display format: "(02) 9528 0287" for landlines,
+     * "0490 420 900" for mobiles, "1300 232 663" and "1800 737 732" for
+     * national numbers and "13 11 14" for six-digit 13 numbers.
+     * 
+     * @param {string} phone - Phone number as written in the data
+     * @returns {Object|null} { e164, display }, or null if it is not a valid Australian number
+     * 
+     * @example
+     * parsePhoneNumber('02 9528 0287'); // { e164: '+61295280287', display: '(02) 9528 0287' }
+     * parsePhoneNumber('131114');       // { e164: '+61131114', display: '13 11 14' }
+     */
+    function parsePhoneNumber(phone) {
+        if (typeof phone !== 'string' || /[^\d+()\-\s]/.test(phone)) {
+            return null;
+        }
+        
+        let digits = phone.replace(/[^\d+]/g, '');
+        if (digits.startsWith('+61')) {
+            digits = digits.slice(3);
+            // Geographic and mobile numbers drop their leading 0 after +61
+            if (!/^1[38]/.test(digits)) {
+                digits = `0${digits}`;
+            }
+        }
+        if (!/^\d+$/.test(digits)) {
+            return null;
+        }
+        
+        let display;
+        if (/^13\d{4}$/.test(digits)) {
+            display = `${digits.slice(0, 2)} ${digits.slice(2, 4)} ${digits.slice(4)}`;
+        } else if (/^1[38]00\d{6}$/.test(digits)) {
+            display = `${digits.slice(0, 4)} ${digits.slice(4, 7)} ${digits.slice(7)}`;
+        } else if (/^0[2378]\d{8}$/.test(digits)) {
+            display = `(${digits.slice(0, 2)}) ${digits.slice(2, 6)} ${digits.slice(6)}`;
+        } else if (/^04\d{8}$/.test(digits)) {
+            display = `${digits.slice(0, 4)} ${digits.slice(4, 7)} ${digits.slice(7)}`;
+        } else {
+            return null;
+        }
+        
+        return { e164: `+61${digits.replace(/^0/, '')}`, display };
+    }
+    
+    /**
+     * Checks whether a partner location can be shown on the map
+     * 
+     * @param {Object} location - Partner location entry
+     * @returns {boolean} True if the location has numeric latitude and longitude
+     */
+    function hasCoordinates(location) {
+        return typeof location.lat === 'number' && typeof location.lng === 'number';
+    }
+    
+    /**
+     * Checks whether a partner has a site that patrons can visit
+     * 
+     * Services delivered only by phone or online are not site-based. They are
+     * listed in the "Phone & online services" panel instead of on the map.
+     * 
+     * @param {Object} partner - Partner record
+     * @returns {boolean} True if the partner offers in-person delivery
+     */
+    function isSiteBased(partner) {
+        return Array.isArray(partner.delivery) && partner.delivery.includes('in-person');
+    }
+    
+    return {
+        SERVICE_AREA_KEYS,
+        DELIVERY_MODE_KEYS,
+        COST_KEYS,
+        TARGET_GROUP_KEYS,
+        CONTACT_TYPE_KEYS,
+        WEEKDAY_KEYS,
+        SERVICE_TIME_ZONE,
+        DEFAULT_STALE_AFTER_MONTHS,
+        SYDNEY_BOUNDS,
+        SUBURB_MISMATCH_KM,
+        validatePartnerData,
+        validateOpeningHours,
+        validateContact,
+        validateSynonyms,
+        checkSiteCoordinates,
+        findSuburbInAddress,
+        distanceKm,
+        isValidDate,
+        monthsBetween,
+        parseTimeRange,
+        getServiceTime,
+        parsePhoneNumber,
+        hasCoordinates,
+        isSiteBased
+    };
+})();
+
+/**
+ * Export the validation rules
+ * Node tools load them with require(); the web page reads window.PartnerValidation
+ * 
+ * @global
+ * @type {Object}
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PartnerValidation;
+} else if (typeof window !== 'undefined') {
+    window.PartnerValidation = PartnerValidation;
+}
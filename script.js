@@ -68,511 +68,437 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Continuing without security features...');
     }
     
-    // Partners data - Key organizations from each category
-    const partners = [
-        // First Nations
-        {
-            "name": "Kurranulla Aboriginal Corporation",
-            "lat": -34.053,
-            "lng": 151.06,
-            "community": "First Nations",
-            "languages": ["English"],
-            "description": {
-                "English": "Provides services and programs for the local Aboriginal community.",
-                "Mandarin": "为当地原住民社区提供服务和项目。",
-                "Cantonese": "為當地原住民社區提供服務和計劃。",
-                "Nepali": "स्थानीय आदिवासी समुदायका लागि सेवा र कार्यक्रमहरू प्रदान गर्दछ।",
-                "Italian": "Fornisce servizi e programmi per la comunità aborigena locale.",
-                "Greek": "Παρέχει υπηρεσίες και προγράμματα για την τοπική κοινότητα των Αβοριγίνων."
-            },
-            "address": "15 Jannali Avenue, Jannali",
-            "phone": "(02) 9528 0287",
-            "email": "contact@kurranulla.org.au",
-            "website": "https://www.kurranulla.org.au/"
-        },
-        {
-            "name": "Metropolitan Local Aboriginal Land Council",
-            "lat": -33.874,
-            "lng": 151.21,
-            "community": "First Nations",
-            "languages": ["English"],
-            "description": {
-                "English": "Advocates for Aboriginal people in the Sydney metropolitan area.",
-                "Mandarin": "为悉尼大都会区的原住民提供支持。",
-                "Cantonese": "為悉尼大都會區的原住民提供支援。",
-                "Nepali": "सिड्नी महानगरीय क्षेत्रमा आदिवासीहरूका लागि वकालत गर्दछ।",
-                "Italian": "Sostiene le persone aborigene nell'area metropolitana di Sydney.",
-                "Greek": "Υποστηρίζει τους Αβορίγινες στην μητροπολιτική περιοχή του Σίδνεϊ."
-            },
-            "address": "Level 2, 150 Elizabeth St Sydney",
-            "phone": "(02) 8394 9666",
-            "email": "metrolalc@metrolalc.org.au",
-            "website": "https://metrolalc.org.au/"
-        },
-        {
-            "name": "3Bridges Burrbangana Program",
-            "lat": -33.973,
-            "lng": 151.09,
-            "community": "First Nations",
-            "languages": ["English"],
-            "description": {
-                "English": "Youth mentoring and indigenous learning programs.",
-                "Mandarin": "青年辅导和土著学习项目。",
-                "Cantonese": "青年指導同原住民學習計劃。",
-                "Nepali": "युवा मार्गदर्शन र आदिवासी शिक्षा कार्यक्रमहरू।",
-                "Italian": "Programmi di mentoring giovanile e di apprendimento indigeno.",
-                "Greek": "Προγράμματα καθοδήγησης νέων και ιθαγενών μάθησης."
-            },
-            "address": "643A King Georges Road, Penshurst",
-            "phone": "1300 327 434",
-            "email": "admin@3bridges.org.au",
-            "website": "https://3bridges.org.au/"
-        },
-        // Arts
-        {
-            "name": "Shopfront Arts Co-op",
-            "lat": -33.9545,
-            "lng": 151.1215,
-            "community": "Arts",
-            "languages": ["English"],
-            "description": {
-                "English": "A space for young people to create and experience art.",
-                "Mandarin": "一个让年轻人创作和体验艺术的空间。",
-                "Cantonese": "一個俾年輕人創作同體驗藝術嘅空間。",
-                "Nepali": "युवाहरूलाई कला सिर्जना गर्न र अनुभव गर्नका लागि एउटा ठाउँ।",
-                "Italian": "Uno spazio per i giovani per creare e sperimentare l'arte.",
-                "Greek": "Ένας χώρος για νέους να δημιουργήσουν και να βιώσουν την τέχνη."
-            },
-            "address": "88 Carlton Parade, Carlton",
-            "phone": "(02) 9588 3948",
-            "email": "hello@shopfront.org.au",
-            "website": "https://shopfront.org.au/"
-        },
-        {
-            "name": "Bus Stop Films",
-            "lat": -33.9545,
-            "lng": 151.1215,
-            "community": "Arts",
-            "languages": ["English"],
-            "description": {
-                "English": "An accessible film studies program for people with disabilities.",
-                "Mandarin": "为残疾人士提供的无障碍电影研究项目。",
-                "Cantonese": "一個為殘疾人士而設嘅無障礙電影研究課程。",
-                "Nepali": "अपाङ्गता भएका व्यक्तिहरूका लागि पहुँचयोग्य चलचित्र अध्ययन कार्यक्रम।",
-                "Italian": "Un programma di studi cinematografici accessibile per persone con disabilità.",
-                "Greek": "Ένα προσβάσιμο πρόγραμμα σπουδών κινηματογράφου για άτομα με αναπηρίες."
-            },
-            "address": "86-88 Carlton Parade, Carlton",
-            "phone": "(02) 7204 5010",
-            "email": "hello@busstopfilms.com.au",
-            "website": "https://www.busstopfilms.com.au/"
-        },
-      
-  // Youth
-        {
-            "name": "PCYC St George",
-            "lat": -33.95,
-            "lng": 151.15,
-            "community": "Youth",
-            "languages": ["English"],
-            "description": {
-                "English": "Youth and community programs.",
-                "Mandarin": "青年和社区项目。",
-                "Cantonese": "青年同社區計劃。",
-                "Nepali": "युवा र सामुदायिक कार्यक्रमहरू।",
-                "Italian": "Programmi per i giovani e la comunità.",
-                "Greek": "Προγράμματα για νέους και την κοινότητα."
-            },
-            "address": "McCarthy Reserve, 9 Ador Avenue, Rockdale",
-            "phone": "(02) 9567 0408",
-            "email": "stgeorge@pcycnsw.org.au",
-            "website": "https://www.pcycnsw.org.au/st-george"
-        },
-        // Health & Wellbeing
-        {
-            "name": "Headspace Hurstville",
-            "lat": -33.967,
-            "lng": 151.104,
-            "community": "Health & Wellbeing",
-            "languages": ["English"],
-            "description": {
-                "English": "Youth mental health services.",
-                "Mandarin": "青年心理健康服务。",
-                "Cantonese": "青年心理健康服務。",
-                "Nepali": "युवा मानसिक स्वास्थ्य सेवाहरू।",
-                "Italian": "Servizi di salute mentale per i giovani.",
-                "Greek": "Υπηρεσίες ψυχικής υγείας για νέους."
-            },
-            "address": "41 Dora Street, Hurstville",
-            "phone": "(02) 8048 3350",
-            "email": "headspace.hurstville@stride.com.au",
-            "website": "https://headspace.org.au/headspace-centres/hurstville/"
-        },
-        {
-            "name": "Lifeline",
-            "lat": -33.8688,
-            "lng": 151.2093,
-            "community": "Health & Wellbeing",
-            "languages": ["English"],
-            "description": {
-                "English": "24/7 crisis support and suicide prevention.",
-                "Mandarin": "24/7 危机支持和自杀预防。",
-                "Cantonese": "24/7 危機支援同自殺預防。",
-                "Nepali": "24/7 संकट समर्थन र आत्महत्या रोकथाम।",
-                "Italian": "Supporto per le crisi 24/7 e prevenzione del suicidio.",
-                "Greek": "24/7 υποστήριξη κρίσεων και πρόληψη αυτοκτονιών."
-            },
-            "address": "National Service - Multiple Locations",
-            "phone": "13 11 14",
-            "email": "info@lifeline.org.au",
-            "website": "https://www.lifeline.org.au/"
-        },
-        // Carers Support Services
-        {
-            "name": "Carers NSW",
-            "lat": -33.8394,
-            "lng": 151.2081,
-            "community": "Carers Support Services",
-            "languages": ["English"],
-            "description": {
-                "English": "The peak non-government organisation for carers in NSW.",
-                "Mandarin": "新南威尔士州照顾者的最高非政府组织。",
-                "Cantonese": "新南威爾士州照顧者嘅最高非政府組織。",
-                "Nepali": "NSW मा हेरचाहकर्ताहरूका लागि शिखर गैर-सरकारी संस्था।",
-                "Italian": "La principale organizzazione non governativa per i caregiver nel NSW.",
-                "Greek": "Ο κορυφαίος μη κυβερνητικός οργανισμός για φροντιστές στη ΝΝΟ."
-            },
-            "address": "Level 10/213 Miller St, North Sydney",
-            "phone": "(02) 9280 4744",
-            "email": "contact@carersnsw.org.au",
-            "website": "https://www.carersnsw.org.au/"
-        },
-        // Children & Families
-        {
-            "name": "St George Family Support Services",
-            "lat": -33.959,
-            "lng": 151.129,
-            "community": "Children & Families",
-            "languages": ["English"],
-            "description": {
-                "English": "Provides support to vulnerable children, young people, and families.",
-                "Mandarin": "为弱势儿童、青少年和家庭提供支持。",
-                "Cantonese": "為弱勢兒童、青少年同家庭提供支援。",
-                "Nepali": "विपन्न बालबालिका, युवा र परिवारलाई सहयोग प्रदान गर्दछ।",
-                "Italian": "Fornisce supporto a bambini, giovani e famiglie vulnerabili.",
-                "Greek": "Παρέχει υποστήριξη σε ευάλωτα παιδιά, νέους και οικογένειες."
-            },
-            "address": "42 Jubilee Avenue, Carlton",
-            "phone": "(02) 9553 9100",
-            "email": "information@sgfss.org.au",
-            "website": "https://www.sgfss.org.au/"
-        },
-        {
-            "name": "Tresillian",
-            "lat": -33.8688,
-            "lng": 151.2093,
-            "community": "Children & Families",
-            "languages": ["English"],
-            "description": {
-                "English": "Early parenting support for families with young children.",
-                "Mandarin": "为有幼儿的家庭提供早期育儿支持。",
-                "Cantonese": "為有幼兒嘅家庭提供早期育兒支援。",
-                "Nepali": "साना बच्चाहरू भएका परिवारहरूका लागि प्रारम्भिक अभिभावकत्व समर्थन।",
-                "Italian": "Supporto alla genitorialità precoce per famiglie con bambini piccoli.",
-                "Greek": "Υποστήριξη πρώιμης γονικής μέριμνας για οικογένειες με μικρά παιδιά."
-            },
-            "address": "Multiple Locations - Sydney Metro",
-            "phone": "1300 272 736",
-            "email": "enquiries@tresillian.org.au",
-            "website": "https://www.tresillian.org.au/"
-        },
-        // Community Support
-        {
-            "name": "3Bridges Community",
-            "lat": -33.973,
-            "lng": 151.09,
-            "community": "Community Support",
-            "languages": ["English"],
-            "description": {
-                "English": "Offers a wide range of services for all ages and cultures.",
-                "Mandarin": "为所有年龄和文化的人提供广泛的服务。",
-                "Cantonese": "為所有年齡同文化嘅人提供廣泛嘅服務。",
-                "Nepali": "सबै उमेर र संस्कृतिहरूका लागि विस्तृत सेवाहरू प्रदान गर्दछ।",
-                "Italian": "Offre una vasta gamma di servizi per tutte le età e culture.",
-                "Greek": "Προσφέρει ένα ευρύ φάσμα υπηρεσιών για όλες τις ηλικίες και τους πολιτισμούς."
-            },
-            "address": "643/643A King Georges Road, Penshurst",
-            "phone": "1300 327 434",
-            "email": "admin@3bridges.org.au",
-            "website": "https://3bridges.org.au/"
-        },
-        // Disability Services
-        {
-            "name": "Northcott",
-            "lat": -33.967,
-            "lng": 151.104,
-            "community": "Disability Services",
-            "languages": ["English"],
-            "description": {
-                "English": "Supports people with disability to live the life they choose.",
-                "Mandarin": "支持残疾人士过上他们选择的生活。",
-                "Cantonese": "支持殘疾人士過佢哋選擇嘅生活。",
-                "Nepali": "अपाङ्गता भएका व्यक्तिहरूलाई उनीहरूले रोजेको जीवन जिउन सहयोग गर्दछ।",
-                "Italian": "Sostiene le persone con disabilità a vivere la vita che scelgono.",
-                "Greek": "Υποστηρίζει άτομα με αναπηρία να ζήσουν τη ζωή που επιλέγουν."
-            },
-            "address": "Level 2, Suite 2, 12 Butler Road, Hurstville",
-            "phone": "1800 818 286",
-            "email": "northcott@northcott.com.au",
-            "website": "https://northcott.com.au/"
-        },
-        // Domestic Violence
-        {
-            "name": "1800RESPECT",
-            "lat": -33.8688,
-            "lng": 151.2093,
-            "community": "Domestic Violence",
-            "languages": ["English"],
-            "description": {
-                "English": "National sexual assault, domestic family violence counselling service.",
-                "Mandarin": "国家性侵犯、家庭暴力咨询服务。",
-                "Cantonese": "全國性侵犯、家庭暴力輔導服務。",
-                "Nepali": "राष्ट्रिय यौन दुर्व्यवहार, घरेलु पारिवारिक हिंसा परामर्श सेवा।",
-                "Italian": "Servizio nazionale di consulenza sulla violenza sessuale e domestica.",
-                "Greek": "Εθνική υπηρεσία συμβουλευτικής για τη σεξουαλική επίθεση και την ενδοοικογενειακή βία."
-            },
-            "address": "National Service - Phone & Online",
-            "phone": "1800 737 732",
-            "email": "info@1800respect.org.au",
-            "website": "https://www.1800respect.org.au/"
-        },
-        // Food & Emergency Support
-        {
-            "name": "Salvation Army Hurstville",
-            "lat": -33.967,
-            "lng": 151.104,
-            "community": "Food & Emergency Support",
-            "languages": ["English"],
-            "description": {
-                "English": "Emergency relief and community support.",
-                "Mandarin": "紧急救援和社区支持。",
-                "Cantonese": "緊急救援同社區支援。",
-                "Nepali": "आपतकालीन राहत र सामुदायिक समर्थन।",
-                "Italian": "Soccorso d'emergenza e supporto comunitario.",
-                "Greek": "Έκτακτη ανακούφιση και κοινοτική υποστήριξη."
-            },
-            "address": "Cnr Bond and Dore Streets, Hurstville",
-            "phone": "(02) 9570 2617",
-            "email": "hurstvillesalvos@salvationarmy.org.au",
-            "website": "https://www.salvationarmy.org.au/hurstville"
-        },
-        // Government Departments
-        {
-            "name": "Bayside Council",
-            "lat": -33.96,
-            "lng": 151.15,
-            "community": "Government Departments",
-            "languages": ["English"],
-            "description": {
-                "English": "Local government services.",
-                "Mandarin": "地方政府服务。",
-                "Cantonese": "地方政府服務。",
-                "Nepali": "स्थानीय सरकारी सेवाहरू।",
-                "Italian": "Servizi del governo locale.",
-                "Greek": "Υπηρεσίες τοπικής αυτοδιοίκησης."
-            },
-            "address": "444-446 Princes Highway, Rockdale",
-            "phone": "1300 581 299",
-            "email": "council@bayside.nsw.gov.au",
-            "website": "https://www.bayside.nsw.gov.au/"
-        },
-        // LGBTQIA+
-        {
-            "name": "ACON",
-            "lat": -33.88,
-            "lng": 151.21,
-            "community": "LGBTQIA+",
-            "languages": ["English"],
-            "description": {
-                "English": "Health promotion organisation for LGBTQIA+ people.",
-                "Mandarin": "为 LGBTQIA+ 人士提供健康促进的组织。",
-                "Cantonese": "為 LGBTQIA+ 人士提供健康促進嘅組織。",
-                "Nepali": "LGBTQIA+ व्यक्तिहरूका लागि स्वास्थ्य प्रवर्द्धन संस्था।",
-                "Italian": "Organizzazione per la promozione della salute per le persone LGBTQIA+.",
-                "Greek": "Οργανισμός προαγωγής της υγείας για άτομα LGBTQIA+."
-            },
-            "address": "414 Elizabeth Street, Surry Hills",
-            "phone": "1800 063 060",
-            "email": "acon@acon.org.au",
-            "website": "https://www.acon.org.au/"
-        },
-        // Multicultural
-        {
-            "name": "Advance Diversity Services",
-            "lat": -33.967,
-            "lng": 151.104,
-            "community": "Multicultural",
-            "languages": ["English"],
-            "description": {
-                "English": "Services for culturally and linguistically diverse communities.",
-                "Mandarin": "为文化和语言多样化的社区提供服务。",
-                "Cantonese": "為文化同語言多元化嘅社區提供服務。",
-                "Nepali": "सांस्कृतिक र भाषिक रूपमा विविध समुदायहरूका लागि सेवाहरू।",
-                "Italian": "Servizi per comunità culturalmente e linguisticamente diverse.",
-                "Greek": "Υπηρεσίες για πολιτισμικά και γλωσσικά διαφορετικές κοινότητες."
-            },
-            "address": "Suite 231 & 232 (Building 2/Level 3), 7-11 The Avenue, Hurstville",
-            "phone": "(02) 9597 5455",
-            "email": "info@advancediversity.org.au",
-            "website": "https://www.advancediversity.org.au/"
-        }
-    ];
-
-    /**
-     * Validates partner data structure and content
-     * 
-     * Performs comprehensive validation of partner organization data including
-     * required fields, data types, email format, URL validity, and duplicate detection.
-     * 
-     * @param {Array<Object>} partners - Array of partner organization objects
-     * @param {string} partners[].name - Organization name
-     * @param {number} partners[].lat - Latitude coordinate
-     * @param {number} partners[].lng - Longitude coordinate
-     * @param {string} partners[].community - Community category
-     * @param {Array<string>} partners[].languages - Supported languages
-     * @param {Object} partners[].description - Multilingual descriptions
-     * @param {string} partners[].address - Physical address
-     * @param {string} partners[].phone - Contact phone number
-     * @param {string} partners[].email - Contact email address
-     * @param {string} partners[].website - Organization website URL
-     * 
-     * @returns {Object} Validation result object
-     * @returns {Array<string>} returns.errors - Array of validation errors
-     * @returns {Array<string>} returns.warnings - Array of validation warnings
-     * @returns {boolean} returns.isValid - True if no errors found
+    // Partner directory dataset, maintained by library staff outside of the application code
+    const PARTNER_DATA_URL = 'data/partners.json';
+    
+    // Category taxonomy registry: drives the filter buttons, validation and the animated title
+    const CATEGORY_DATA_URL = 'data/categories.json';
+    
+    // NSW public holiday table consulted when evaluating opening hours
+    const HOLIDAY_DATA_URL = 'data/public-holidays.json';
+    
+    // Suburb centroid gazetteer used to sanity-check partner coordinates
+    const SUBURB_DATA_URL = 'data/suburbs.json';
+    
+    // Search synonym dictionaries, one file per interface language (e.g. data/synonyms/english.json)
+    const SYNONYM_DATA_DIR = 'data/synonyms/';
+    
+    // Record rules shared with the Node tools in tools/ (see partner-validation.js)
+    const {
+        SERVICE_AREA_KEYS,
+        DELIVERY_MODE_KEYS,
+        COST_KEYS,
+        TARGET_GROUP_KEYS,
+        CONTACT_TYPE_KEYS,
+        WEEKDAY_KEYS,
+        validatePartnerData,
+        validateSynonyms,
+        parseTimeRange,
+        getServiceTime,
+        parsePhoneNumber,
+        distanceKm,
+        hasCoordinates
+    } = window.PartnerValidation;
+    
+    // Icon shown before each extra contact channel
+    const CONTACT_ICONS = {
+        'sms': '💬',
+        'webchat': '🗨️',
+        'tty': '⌨️',
+        'nrs': '🦻',
+        'interpreter': '🌐'
+    };
+    
+    // Locale used to format dates and times in each interface language
+    const LANGUAGE_LOCALES = {
+        'English': 'en-AU',
+        'Mandarin': 'zh-CN',
+        'Cantonese': 'zh-HK',
+        'Nepali': 'ne-NP',
+        'Italian': 'it-IT',
+        'Greek': 'el-GR'
+    };
+    
+    // Link to a single partner, e.g. "#/partner/headspace-hurstville"
+    const PARTNER_HASH_PATTERN = /^#\/partner\/([a-z0-9]+(?:-[a-z0-9]+)*)\/?$/;
+    
+    // Map view the page opens with; a view other than this one is kept in the URL
+    const DEFAULT_MAP_VIEW = { lat: -33.97, lng: 151.08, zoom: 11 };
+    
+    // Runs of letters, combining marks and digits: the words of a text for typo-tolerant search
+    const SEARCH_WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+    
+    // Short function words in the directory text, in their folded form. They are never offered as
+    // "Did you mean" corrections: a typo such as "fod" should suggest "food", not "for".
+    const SEARCH_STOP_WORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'of', 'on', 'or',
+        'our', 'the', 'their', 'to', 'we', 'who', 'with', 'you', 'your',
+        'al', 'con', 'da', 'del', 'di', 'e', 'il', 'la', 'le', 'per', 'su', 'un', 'una',
+        'για', 'και', 'με', 'σε', 'στη', 'στην', 'στο', 'την', 'της', 'του', 'των'
+    ]);
+    
+    // Pause after the last keystroke before the search box filters the list and updates the URL
+    const SEARCH_DEBOUNCE_MS = 250;
+    
+    let sanitizedPartners = [];
+    let partnerDataLoaded = false;
+    let categoryRegistry = [];
+    let publicHolidays = new Map();
+    let suburbGazetteer = [];
+    let searchIndex = new Map();
+    let synonymLookup = new Map();
+
+
+    /**
+     * Returns the opening periods that apply on a given Sydney date
+     * 
+     * A date exception takes precedence, then the partner's public holiday
+     * override, then the weekly hours. Without an override, public holidays
+     * use the weekly hours and cards show a "hours may differ" notice.
+     * 
+     * @param {Object} hours - Opening hours object
+     * @param {Object} serviceTime - Result of getServiceTime()
+     * @returns {Array<string>} Periods such as "09:00-17:00" (empty when closed)
+     */
+    function getPeriodsForDate(hours, serviceTime) {
+        const exception = (hours.exceptions || []).find(entry => entry.date === serviceTime.date);
+        if (exception) {
+            return exception.closed ? [] : exception.periods;
+        }
+        if (publicHolidays.has(serviceTime.date) && hours.publicHolidays && hours.publicHolidays !== 'normal') {
+            return hours.publicHolidays === 'closed' ? [] : hours.publicHolidays;
+        }
+        return (hours.weekly && hours.weekly[serviceTime.weekday]) || [];
+    }
+    
+    /**
+     * Checks whether a public holiday may change a partner's hours today
+     * 
+     * @param {Object} partner - Partner record
+     * @param {Object} serviceTime - Result of getServiceTime()
+     * @returns {boolean} True on a public holiday for partners with published, non-24/7 hours
+     */
+    function isAffectedByPublicHoliday(partner, serviceTime) {
+        if (!publicHolidays.has(serviceTime.date)) {
+            return false;
+        }
+        return [partner.hours, ...partner.locations.map(location => location.hours)]
+            .some(hours => hours && !hours.alwaysOpen && hours.publicHolidays !== 'normal');
+    }
+    
+    /**
+     * Checks whether opening hours include a given Sydney time
+     * 
+     * @param {Object} hours - Opening hours object
+     * @param {Object} serviceTime - Result of getServiceTime()
+     * @returns {boolean} True if open at that time
+     */
+    function isOpenAt(hours, serviceTime) {
+        if (hours.alwaysOpen) {
+            return true;
+        }
+        return getPeriodsForDate(hours, serviceTime).some(range => {
+            const period = parseTimeRange(range);
+            return period && serviceTime.minutes >= period.opens && serviceTime.minutes < period.closes;
+        });
+    }
+    
+    /**
+     * Checks whether a partner, or any one of its sites, is open
+     * 
+     * @param {Object} partner - Partner record
+     * @param {Object} serviceTime - Result of getServiceTime()
+     * @returns {boolean|null} Open state, or null if the partner has no published hours
+     */
+    function isPartnerOpen(partner, serviceTime) {
+        const publishedHours = [partner.hours, ...partner.locations.map(location => location.hours)].filter(Boolean);
+        if (publishedHours.length === 0) {
+            return null;
+        }
+        return publishedHours.some(hours => isOpenAt(hours, serviceTime));
+    }
+    
+    /**
+     * Fetches the partner directory dataset
+     * 
+     * Loads the versioned partner dataset from PARTNER_DATA_URL. The dataset is
+     * a JSON document with a `version` and `generatedAt` header and a `partners`
+     * array, so staff can update the directory without touching this file.
+     * 
+     * @async
+     * @returns {Promise<Object>} Parsed dataset with version, generatedAt and partners
+     * @throws {Error} If the request fails or the document has no partners array
      * 
      * @example
-     * const result = validatePartnerData(partners);
-     * if (result.isValid) {
-     *   console.log('Data is valid');
-     * } else {
-     *   console.error('Validation errors:', result.errors);
-     * }
-     */
-    function validatePartnerData(partners) {
-        const errors = [];
-        const warnings = [];
-        
-        const validCommunities = [
-            'First Nations', 'Arts', 'Youth', 'Health & Wellbeing',
-            'Carers Support Services', 'Children & Families', 'Community Support',
-            'Disability Services', 'Domestic Violence', 'Food & Emergency Support',
-            'Government Departments', 'LGBTQIA+', 'Multicultural'
-        ];
-        
-        const requiredFields = ['name', 'lat', 'lng', 'community', 'languages', 'description', 'address', 'phone', 'email', 'website'];
-        
-        partners.forEach((partner, index) => {
-            // Check required fields
-            requiredFields.forEach(field => {
-                if (!partner[field]) {
-                    errors.push(`Partner ${index} (${partner.name || 'Unknown'}): Missing ${field}`);
-                }
-            });
-            
-            // Validate coordinates
-            if (typeof partner.lat !== 'number' || typeof partner.lng !== 'number') {
-                errors.push(`Partner ${index} (${partner.name}): Invalid coordinates`);
-            }
-            
-            // Validate community
-            if (!validCommunities.includes(partner.community)) {
-                errors.push(`Partner ${index} (${partner.name}): Invalid community '${partner.community}'`);
-            }
-            
-            // Validate email format
-            if (partner.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(partner.email)) {
-                errors.push(`Partner ${index} (${partner.name}): Invalid email format`);
-            }
-            
-            // Validate website URL
-            if (partner.website) {
-                try {
-                    new URL(partner.website);
-                } catch (e) {
-                    errors.push(`Partner ${index} (${partner.name}): Invalid website URL`);
-                }
+     * const dataset = await loadPartnerData();
+     * console.log(dataset.version, dataset.partners.length);
+     */
+    async function loadPartnerData() {
+        const response = await fetch(PARTNER_DATA_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Unable to load partner data (HTTP ${response.status})`);
+        }
+        
+        const dataset = await response.json();
+        if (!dataset || !Array.isArray(dataset.partners)) {
+            throw new Error('Partner dataset is missing a partners array');
+        }
+        if (!dataset.version || !dataset.generatedAt) {
+            console.warn('⚠️ Partner dataset is missing its version or generatedAt header');
+        }
+        
+        return dataset;
+    }
+
+    /**
+     * Fetches the category taxonomy registry
+     * 
+     * Loads the category registry from CATEGORY_DATA_URL. Each entry has an
+     * `id` (the value partners list in `categories`), a `translationKey` into
+     * `translations`, an `icon`, a `colour` and a display `order`. Entries
+     * without an id are dropped, and the result is sorted by display order.
+     * 
+     * @async
+     * @returns {Promise<Array<Object>>} Category registry sorted by display order
+     * @throws {Error} If the request fails or the document has no categories array
+     * 
+     * @example
+     * const categories = await loadCategoryRegistry();
+     * console.log(categories[0].id); // 'First Nations'
+     */
+    async function loadCategoryRegistry() {
+        const response = await fetch(CATEGORY_DATA_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Unable to load category registry (HTTP ${response.status})`);
+        }
+        
+        const registry = await response.json();
+        if (!registry || !Array.isArray(registry.categories)) {
+            throw new Error('Category registry is missing a categories array');
+        }
+        
+        const seenIds = new Set();
+        const categories = registry.categories.filter(category => {
+            if (!category || !category.id) {
+                console.warn('⚠️ Ignoring category registry entry without an id:', category);
+                return false;
             }
-            
-            // Check for English description
-            if (!partner.description || !partner.description.English) {
-                errors.push(`Partner ${index} (${partner.name}): Missing English description`);
+            if (seenIds.has(category.id)) {
+                console.warn(`⚠️ Ignoring duplicate category '${category.id}'`);
+                return false;
             }
-            
-            // Validate languages array
-            if (!Array.isArray(partner.languages) || partner.languages.length === 0) {
-                warnings.push(`Partner ${index} (${partner.name}): No languages specified`);
+            seenIds.add(category.id);
+            return true;
+        });
+        
+        return categories.sort((a, b) => (a.order || 0) - (b.order || 0));
+    }
+
+    /**
+     * Fetches the NSW public holiday table
+     * 
+     * Loads HOLIDAY_DATA_URL, a list of { date, name } entries with dates in
+     * "YYYY-MM-DD" form. Entries without a valid date are dropped. Staff add
+     * the next year's holidays to the file as they are announced.
+     * 
+     * @async
+     * @returns {Promise<Map<string, string>>} Holiday names keyed by date
+     * @throws {Error} If the request fails or the document has no holidays array
+     * 
+     * @example
+     * const holidays = await loadPublicHolidays();
+     * holidays.get('2026-12-25'); // 'Christmas Day'
+     */
+    async function loadPublicHolidays() {
+        const response = await fetch(HOLIDAY_DATA_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Unable to load public holidays (HTTP ${response.status})`);
+        }
+        
+        const table = await response.json();
+        if (!table || !Array.isArray(table.holidays)) {
+            throw new Error('Public holiday table is missing a holidays array');
+        }
+        
+        const holidays = new Map();
+        table.holidays.forEach(holiday => {
+            if (!holiday || !/^\d{4}-\d{2}-\d{2}$/.test(holiday.date)) {
+                console.warn('⚠️ Ignoring public holiday entry without a valid date:', holiday);
+                return;
             }
+            holidays.set(holiday.date, holiday.name || '');
         });
         
-        // Check for duplicates
-        const names = partners.map(p => p.name);
-        const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
-        if (duplicates.length > 0) {
-            warnings.push(`Duplicate names found: ${[...new Set(duplicates)].join(', ')}`);
+        const years = [...new Set([...holidays.keys()].map(date => date.slice(0, 4)))];
+        console.log(`📅 ${table.region || ''} public holidays loaded for ${years.join(', ')}`);
+        return holidays;
+    }
+
+    /**
+     * Fetches the suburb centroid gazetteer
+     * 
+     * Loads SUBURB_DATA_URL, a list of { name, postcode, lat, lng } entries.
+     * Entries without a name or numeric coordinates are dropped.
+     * 
+     * @async
+     * @returns {Promise<Array<Object>>} Suburb centroids
+     * @throws {Error} If the request fails or the document has no suburbs array
+     * 
+     * @example
+     * const suburbs = await loadSuburbs();
+     * console.log(suburbs.find(suburb => suburb.postcode === '2220').name); // 'Hurstville'
+     */
+    async function loadSuburbs() {
+        const response = await fetch(SUBURB_DATA_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Unable to load suburb gazetteer (HTTP ${response.status})`);
+        }
+        
+        const gazetteer = await response.json();
+        if (!gazetteer || !Array.isArray(gazetteer.suburbs)) {
+            throw new Error('Suburb gazetteer is missing a suburbs array');
         }
         
-        return { errors, warnings, isValid: errors.length === 0 };
+        return gazetteer.suburbs.filter(suburb => {
+            if (!suburb || !suburb.name || !hasCoordinates(suburb)) {
+                console.warn('⚠️ Ignoring suburb gazetteer entry without a name or coordinates:', suburb);
+                return false;
+            }
+            return true;
+        });
     }
-    
-    // Sanitize partner data before validation (if security manager is available)
-    let sanitizedPartners = partners;
-    if (security && security.sanitizePartnerData) {
-        console.log('🧹 Sanitizing partner data...');
-        sanitizedPartners = security.sanitizePartnerData(partners);
-    } else {
-        console.log('ℹ️ Using original partner data (security manager not available)');
+
+    /**
+     * Fetches the search synonym dictionary of every interface language
+     * 
+     * All dictionaries are used whatever the interface language, so a patron
+     * can type "食物银行" with the interface in English. A missing or broken
+     * file is skipped with a warning.
+     * 
+     * @async
+     * @returns {Promise<Array<Object>>} Parsed dictionaries as { language, entries }
+     * 
+     * @example
+     * const dictionaries = await loadSynonyms();
+     * console.log(dictionaries.map(dictionary => dictionary.language)); // ['English', 'Mandarin', ...]
+     */
+    async function loadSynonyms() {
+        const dictionaries = await Promise.all(Object.keys(LANGUAGE_LOCALES).map(language =>
+            fetch(`${SYNONYM_DATA_DIR}${language.toLowerCase()}.json`, { cache: 'no-cache' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn(`⚠️ ${language} search synonyms unavailable:`, error.message);
+                    return null;
+                })
+        ));
+        return dictionaries.filter(Boolean);
     }
-    
-    // Run validation on startup
-    console.log('🔍 Validating partner data...');
-    const validation = validatePartnerData(sanitizedPartners);
-    
-    if (validation.isValid) {
-        console.log(`✅ Partner data validation passed! ${partners.length} partners loaded.`);
-        if (validation.warnings.length > 0) {
-            console.warn('⚠️ Warnings:', validation.warnings);
+
+    /**
+     * Sanitizes and validates a loaded partner dataset
+     * 
+     * Runs the dataset through the security manager (when available) and
+     * validatePartnerData, reporting validation errors to the user.
+     * 
+     * @param {Object} dataset - Dataset returned by loadPartnerData()
+     * @returns {Array<Object>} Sanitized partner records ready for display
+     */
+    function preparePartnerData(dataset) {
+        const partners = dataset.partners;
+        console.log(`📦 Partner dataset v${dataset.version} (generated ${dataset.generatedAt})`);
+        
+        // Sanitize partner data before validation (if security manager is available)
+        let cleanPartners = partners;
+        if (security && security.sanitizePartnerData) {
+            console.log('🧹 Sanitizing partner data...');
+            cleanPartners = security.sanitizePartnerData(partners);
+        } else {
+            console.log('ℹ️ Using original partner data (security manager not available)');
         }
-    } else {
-        console.error('❌ Partner data validation failed!');
-        console.error('Errors:', validation.errors);
-        console.warn('Warnings:', validation.warnings);
         
-        // Show user-friendly error message
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = `
-            position: fixed; top: 20px; left: 20px; right: 20px; z-index: 10000;
-            background: #ff4444; color: white; padding: 15px; border-radius: 8px;
-            font-family: Arial, sans-serif; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-        `;
-        // Create error content safely using DOM methods
-        const strongElement = document.createElement('strong');
-        strongElement.textContent = '⚠️ Data Validation Errors Found';
+        console.log('🔍 Validating partner data...');
+        const validation = validatePartnerData(cleanPartners, categoryRegistry, {
+            staleAfterMonths: dataset.staleAfterMonths,
+            suburbs: suburbGazetteer
+        });
         
-        const brElement = document.createElement('br');
+        if (validation.isValid) {
+            console.log(`✅ Partner data validation passed! ${partners.length} partners loaded.`);
+            if (validation.warnings.length > 0) {
+                console.warn('⚠️ Warnings:', validation.warnings);
+            }
+        } else {
+            console.error('❌ Partner data validation failed!');
+            console.error('Errors:', validation.errors);
+            console.warn('Warnings:', validation.warnings);
+            
+            // Show user-friendly error message
+            const errorDiv = document.createElement('div');
+            errorDiv.style.cssText = `
+                position: fixed; top: 20px; left: 20px; right: 20px; z-index: 10000;
+                background: #ff4444; color: white; padding: 15px; border-radius: 8px;
+                font-family: Arial, sans-serif; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            `;
+            // Create error content safely using DOM methods
+            const strongElement = document.createElement('strong');
+            strongElement.textContent = '⚠️ Data Validation Errors Found';
+            
+            const brElement = document.createElement('br');
+            
+            const errorText = document.createTextNode(`${validation.errors.length} errors detected in partner data. Check console for details.`);
+            
+            const closeButton = document.createElement('button');
+            closeButton.textContent = '×';
+            closeButton.style.cssText = 'float: right; background: none; border: 1px solid white; color: white; padding: 5px 10px; cursor: pointer; border-radius: 4px;';
+            closeButton.addEventListener('click', () => errorDiv.remove());
+            
+            errorDiv.appendChild(strongElement);
+            errorDiv.appendChild(brElement);
+            errorDiv.appendChild(errorText);
+            errorDiv.appendChild(closeButton);
+            document.body.appendChild(errorDiv);
+        }
         
-        const errorText = document.createTextNode(`${validation.errors.length} errors detected in partner data. Check console for details.`);
+        return cleanPartners.map(normalisePhoneNumbers);
+    }
+
+    /**
+     * Shows every phone number of a partner in the Australian display format
+     * 
+     * Adds the E.164 form of each number as phoneE164, used for tel: links.
+     * Phone numbers in the contacts list get valueE164 in the same way.
+     * Numbers that cannot be parsed are kept as written, without a link.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {Object} Partner record with normalised phone numbers
+     * 
+     * @example
+     * normalisePhoneNumbers({ phone: '132 166', locations: [] });
+     * // { phone: '13 21 66', phoneE164: '+61132166', locations: [] }
+     */
+    function normalisePhoneNumbers(partner) {
+        const withE164 = (record) => {
+            const parsed = parsePhoneNumber(record.phone);
+            return parsed ? { ...record, phone: parsed.display, phoneE164: parsed.e164 } : record;
+        };
         
-        const closeButton = document.createElement('button');
-        closeButton.textContent = '×';
-        closeButton.style.cssText = 'float: right; background: none; border: 1px solid white; color: white; padding: 5px 10px; cursor: pointer; border-radius: 4px;';
-        closeButton.addEventListener('click', () => errorDiv.remove());
+        const contactWithE164 = (contact) => {
+            const parsed = contact && contact.type !== 'webchat' ? parsePhoneNumber(contact.value) : null;
+            return parsed ? { ...contact, value: parsed.display, valueE164: parsed.e164 } : contact;
+        };
         
-        errorDiv.appendChild(strongElement);
-        errorDiv.appendChild(brElement);
-        errorDiv.appendChild(errorText);
-        errorDiv.appendChild(closeButton);
-        document.body.appendChild(errorDiv);
+        return {
+            ...withE164(partner),
+            locations: Array.isArray(partner.locations)
+                ? partner.locations.map(location => (location.phone ? withE164(location) : location))
+                : partner.locations,
+            contacts: Array.isArray(partner.contacts) ? partner.contacts.map(contactWithE164) : partner.contacts
+        };
     }
 
     const translations = {
@@ -581,12 +507,97 @@ document.addEventListener('DOMContentLoaded', () => {
             "titleResources": " resources",
             "titleAtTheLibrary": "at the library",
             "headingSelectLanguage": "Select your language:",
+            "servicesInMyLanguage": "Services in my language",
+            "headingSearch": "Search:",
+            "searchPlaceholder": "Try “food” or “housing”",
+            "labelNear": "Near a suburb or postcode:",
+            "locationPlaceholder": "e.g. Hurstville or 2220",
+            "locationNotFound": "Suburb or postcode not found",
+            "sortedByDistance": "Sorted by distance from {place}",
+            "distanceKm": "{distance} km",
+            "useMyLocation": "Use my location",
+            "locatingYou": "Finding your location…",
+            "yourLocation": "your location",
+            "locationDenied": "Location permission was denied. Type a suburb or postcode instead.",
+            "locationUnavailable": "Your location could not be found. Type a suburb or postcode instead.",
+            "locationUnsupported": "This browser cannot share your location. Type a suburb or postcode instead.",
+            "didYouMean": "Did you mean {query}?",
             "headingChooseCategory": "Choose a Category:",
             "listHeader": "Service Directory",
+            "sortBy": "Sort by",
+            "sortDefault": "Directory order",
+            "sortName": "Name (A–Z)",
+            "sortDistance": "Distance",
+            "sortVerified": "Recently checked",
+            "groupByCategory": "Group by category",
+            "searchThisArea": "Search this area",
+            "areaHiddenOne": "1 service outside this map area is hidden.",
+            "areaHiddenMany": "{count} services outside this map area are hidden.",
+            "areaAllShown": "Showing services in this map area.",
+            "showAllAreas": "Show all",
             "labelAddress": "Address:",
             "labelPhone": "Phone:",
             "labelEmail": "Email:",
+            "labelHours": "Hours:",
+            "copyButton": "Copy",
+            "copySuccess": "Copied",
+            "copyFailed": "Could not copy",
+            "copyPhone": "Copy phone number",
+            "copyEmail": "Copy email address",
+            "copyAddress": "Copy address",
+            "copyLink": "Copy link",
+            "copyLinkTo": "Copy link to {name}",
+            "partnerLinkNotFound": "The service in this link is no longer listed. Browse the directory below.",
+            "contactSms": "SMS:",
+            "contactWebchat": "Web chat:",
+            "contactTty": "TTY:",
+            "contactNrs": "National Relay Service:",
+            "contactInterpreter": "Interpreter:",
+            "startChat": "Start a chat",
+            "relayAskFor": "Ask for {number}",
+            "headingAvailability": "Availability:",
+            "openNow": "Open now",
+            "closedNow": "Closed now",
+            "dayClosed": "Closed",
+            "open247": "Open 24 hours, 7 days",
+            "openNowNote": "Only services with published opening hours are shown.",
+            "publicHolidayNotice": "Public holiday – hours may differ",
+            "headingEligibility": "Eligibility:",
+            "costFree": "Free",
+            "costLowCost": "Low cost",
+            "costFee": "Fees apply",
+            "referralRequired": "Referral required",
+            "referralNotRequired": "No referral needed",
+            "ageRange": "Ages {min}–{max}",
+            "ageFrom": "Ages {min}+",
+            "ageUpTo": "Ages up to {max}",
+            "labelAge": "Age",
+            "labelTargetGroup": "Who it's for",
+            "targetGroupAll": "Everyone",
+            "eligibilityNote": "Services that have not published this information are not shown.",
+            "groupFirstNations": "Aboriginal & Torres Strait Islander people",
+            "groupYoungPeople": "Young people",
+            "groupOlderPeople": "Older people",
+            "groupFamilies": "Families",
+            "groupCarers": "Carers",
+            "groupDisability": "People with disability",
+            "groupLgbtqia": "LGBTQIA+ people",
+            "groupMulticultural": "Culturally diverse communities",
+            "groupVictimsOfCrime": "Victims of crime",
+            "locationsCount": "{count} locations",
+            "detailsChecked": "Details checked {date}",
+            "remoteServicesHeader": "Phone & online services",
+            "labelWebsite": "Website",
+            "areaLocal": "Local",
+            "areaRegion": "Sydney region",
+            "areaStatewide": "NSW-wide",
+            "areaNational": "Australia-wide",
+            "deliveryInPerson": "In person",
+            "deliveryPhone": "Phone",
+            "deliveryOnline": "Online",
             "noServicesFound": "No services found for this category.",
+            "loadingServices": "Loading services...",
+            "catAll": "All categories",
             "catFirstNations": "First Nations",
             "catArts": "Arts",
             "catHealth": "Health & Wellbeing",
@@ -600,29 +611,112 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "Government Departments",
             "catLgbtqia": "LGBTQIA+",
             "catMulticultural": "Multicultural",
+            "catDrugAlcohol": "Drug & Alcohol",
+            "catEducation": "Education, Training & Employment",
+            "catHousing": "Housing & Homelessness",
+            "catLegal": "Legal Support",
+            "catPolice": "Police & Emergency Services",
+            "catSeniors": "Seniors",
+            "catTransport": "Transport",
             "clearAllFilters": "Clear All Filters",
-            "scrollCommunity": "community",
-            "scrollHealth": "health",
-            "scrollArts": "arts",
-            "scrollYouth": "youth",
-            "scrollFamily": "family",
-            "scrollSupport": "support",
-            "scrollCultural": "cultural",
-            "scrollDisability": "disability",
-            "scrollEmergency": "emergency",
-            "scrollGovernment": "government"
+            "scrollCommunity": "community"
         },
         "Mandarin": {
             "titleFind": "查找",
             "titleResources": "资源",
             "titleAtTheLibrary": "在图书馆",
             "headingSelectLanguage": "选择你的语言:",
+            "servicesInMyLanguage": "提供我的语言的服务",
+            "headingSearch": "搜索:",
+            "searchPlaceholder": "例如“食物”或“住房”",
+            "labelNear": "附近的城区或邮编:",
+            "locationPlaceholder": "例如 Hurstville 或 2220",
+            "locationNotFound": "未找到该城区或邮编",
+            "sortedByDistance": "按与{place}的距离排序",
+            "distanceKm": "{distance} 公里",
+            "useMyLocation": "使用我的位置",
+            "locatingYou": "正在查找您的位置…",
+            "yourLocation": "您的位置",
+            "locationDenied": "位置权限被拒绝。请改为输入城区或邮编。",
+            "locationUnavailable": "无法找到您的位置。请改为输入城区或邮编。",
+            "locationUnsupported": "此浏览器无法共享您的位置。请改为输入城区或邮编。",
+            "didYouMean": "您是不是要找 {query}？",
             "headingChooseCategory": "选择一个类别:",
             "listHeader": "服务目录",
+            "sortBy": "排序方式",
+            "sortDefault": "目录顺序",
+            "sortName": "名称",
+            "sortDistance": "距离",
+            "sortVerified": "最近核实",
+            "groupByCategory": "按类别分组",
+            "searchThisArea": "搜索此区域",
+            "areaHiddenOne": "已隐藏此地图区域外的 1 项服务。",
+            "areaHiddenMany": "已隐藏此地图区域外的 {count} 项服务。",
+            "areaAllShown": "正在显示此地图区域内的服务。",
+            "showAllAreas": "显示全部",
             "labelAddress": "地址:",
             "labelPhone": "电话:",
             "labelEmail": "电子邮件:",
+            "labelHours": "营业时间:",
+            "copyButton": "复制",
+            "copySuccess": "已复制",
+            "copyFailed": "无法复制",
+            "copyPhone": "复制电话号码",
+            "copyEmail": "复制电子邮件地址",
+            "copyAddress": "复制地址",
+            "copyLink": "复制链接",
+            "copyLinkTo": "复制{name}的链接",
+            "partnerLinkNotFound": "此链接中的服务已不再列出。请浏览下面的目录。",
+            "contactSms": "短信:",
+            "contactWebchat": "网上聊天:",
+            "contactTty": "TTY 文字电话:",
+            "contactNrs": "国家中继服务:",
+            "contactInterpreter": "口译服务:",
+            "startChat": "开始聊天",
+            "relayAskFor": "请转接 {number}",
+            "headingAvailability": "服务时间:",
+            "openNow": "现在营业",
+            "closedNow": "现在已关闭",
+            "dayClosed": "休息",
+            "open247": "全天24小时，每周7天开放",
+            "openNowNote": "仅显示已公布营业时间的服务。",
+            "publicHolidayNotice": "公众假期 – 营业时间可能有所不同",
+            "headingEligibility": "资格:",
+            "costFree": "免费",
+            "costLowCost": "低收费",
+            "costFee": "需付费",
+            "referralRequired": "需要转介",
+            "referralNotRequired": "无需转介",
+            "ageRange": "{min}–{max}岁",
+            "ageFrom": "{min}岁及以上",
+            "ageUpTo": "{max}岁及以下",
+            "labelAge": "年龄",
+            "labelTargetGroup": "服务对象",
+            "targetGroupAll": "所有人",
+            "eligibilityNote": "未公布此信息的服务不会显示。",
+            "groupFirstNations": "原住民和托雷斯海峡岛民",
+            "groupYoungPeople": "青少年",
+            "groupOlderPeople": "老年人",
+            "groupFamilies": "家庭",
+            "groupCarers": "照顾者",
+            "groupDisability": "残疾人士",
+            "groupLgbtqia": "LGBTQIA+人士",
+            "groupMulticultural": "多元文化社区",
+            "groupVictimsOfCrime": "犯罪受害者",
+            "locationsCount": "{count} 个地点",
+            "detailsChecked": "信息核实于{date}",
+            "remoteServicesHeader": "电话和在线服务",
+            "labelWebsite": "网站",
+            "areaLocal": "本地",
+            "areaRegion": "悉尼地区",
+            "areaStatewide": "新州全州",
+            "areaNational": "全澳",
+            "deliveryInPerson": "当面服务",
+            "deliveryPhone": "电话",
+            "deliveryOnline": "在线",
             "noServicesFound": "此类别未找到服务。",
+            "loadingServices": "正在加载服务…",
+            "catAll": "所有类别",
             "catFirstNations": "原住民服务",
             "catArts": "艺术",
             "catHealth": "健康与福祉",
@@ -636,29 +730,112 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "政府部门",
             "catLgbtqia": "LGBTQIA+ 社区",
             "catMulticultural": "多元文化",
+            "catDrugAlcohol": "药物和酒精",
+            "catEducation": "教育、培训和就业",
+            "catHousing": "住房与无家可归",
+            "catLegal": "法律支持",
+            "catPolice": "警察和紧急服务",
+            "catSeniors": "老年人",
+            "catTransport": "交通",
             "clearAllFilters": "清除所有筛选",
-            "scrollCommunity": "社区",
-            "scrollHealth": "健康",
-            "scrollArts": "艺术",
-            "scrollYouth": "青年",
-            "scrollFamily": "家庭",
-            "scrollSupport": "支持",
-            "scrollCultural": "文化",
-            "scrollDisability": "残疾",
-            "scrollEmergency": "紧急",
-            "scrollGovernment": "政府"
+            "scrollCommunity": "社区"
         },
         "Cantonese": {
             "titleFind": "搵",
             "titleResources": "資源",
             "titleAtTheLibrary": "喺圖書館",
             "headingSelectLanguage": "選擇你的語言:",
+            "servicesInMyLanguage": "提供我語言嘅服務",
+            "headingSearch": "搜尋:",
+            "searchPlaceholder": "例如「食物」或「住屋」",
+            "labelNear": "附近的區域或郵編:",
+            "locationPlaceholder": "例如 Hurstville 或 2220",
+            "locationNotFound": "找不到該區域或郵編",
+            "sortedByDistance": "按與{place}的距離排序",
+            "distanceKm": "{distance} 公里",
+            "useMyLocation": "使用我的位置",
+            "locatingYou": "正在搵你嘅位置…",
+            "yourLocation": "你嘅位置",
+            "locationDenied": "位置權限被拒絕。請改為輸入區域或郵編。",
+            "locationUnavailable": "搵唔到你嘅位置。請改為輸入區域或郵編。",
+            "locationUnsupported": "呢個瀏覽器無法分享你嘅位置。請改為輸入區域或郵編。",
+            "didYouMean": "你係咪想搵 {query}？",
             "headingChooseCategory": "選擇一個類別:",
             "listHeader": "服務目錄",
+            "sortBy": "排序方式",
+            "sortDefault": "目錄次序",
+            "sortName": "名稱",
+            "sortDistance": "距離",
+            "sortVerified": "最近核實",
+            "groupByCategory": "按類別分組",
+            "searchThisArea": "搜尋呢個區域",
+            "areaHiddenOne": "已隱藏呢個地圖區域以外嘅 1 項服務。",
+            "areaHiddenMany": "已隱藏呢個地圖區域以外嘅 {count} 項服務。",
+            "areaAllShown": "正在顯示呢個地圖區域內嘅服務。",
+            "showAllAreas": "顯示全部",
             "labelAddress": "地址:",
             "labelPhone": "電話:",
             "labelEmail": "電子郵件:",
+            "labelHours": "開放時間:",
+            "copyButton": "複製",
+            "copySuccess": "已複製",
+            "copyFailed": "無法複製",
+            "copyPhone": "複製電話號碼",
+            "copyEmail": "複製電郵地址",
+            "copyAddress": "複製地址",
+            "copyLink": "複製連結",
+            "copyLinkTo": "複製{name}嘅連結",
+            "partnerLinkNotFound": "呢個連結嘅服務已經唔再列出。請瀏覽下面嘅目錄。",
+            "contactSms": "短訊:",
+            "contactWebchat": "網上聊天:",
+            "contactTty": "TTY 文字電話:",
+            "contactNrs": "國家傳譯轉駁服務:",
+            "contactInterpreter": "傳譯服務:",
+            "startChat": "開始聊天",
+            "relayAskFor": "請轉接 {number}",
+            "headingAvailability": "服務時間:",
+            "openNow": "而家開放",
+            "closedNow": "而家關閉",
+            "dayClosed": "休息",
+            "open247": "全日24小時，每星期7日開放",
+            "openNowNote": "只顯示已公佈開放時間嘅服務。",
+            "publicHolidayNotice": "公眾假期 – 開放時間可能有所不同",
+            "headingEligibility": "資格:",
+            "costFree": "免費",
+            "costLowCost": "低收費",
+            "costFee": "需付費",
+            "referralRequired": "需要轉介",
+            "referralNotRequired": "毋須轉介",
+            "ageRange": "{min}–{max}歲",
+            "ageFrom": "{min}歲或以上",
+            "ageUpTo": "{max}歲或以下",
+            "labelAge": "年齡",
+            "labelTargetGroup": "服務對象",
+            "targetGroupAll": "所有人",
+            "eligibilityNote": "未有公佈呢啲資料嘅服務唔會顯示。",
+            "groupFirstNations": "原住民及托雷斯海峽島民",
+            "groupYoungPeople": "青少年",
+            "groupOlderPeople": "長者",
+            "groupFamilies": "家庭",
+            "groupCarers": "照顧者",
+            "groupDisability": "殘疾人士",
+            "groupLgbtqia": "LGBTQIA+人士",
+            "groupMulticultural": "多元文化社區",
+            "groupVictimsOfCrime": "罪案受害者",
+            "locationsCount": "{count} 個地點",
+            "detailsChecked": "資料核實於{date}",
+            "remoteServicesHeader": "電話及網上服務",
+            "labelWebsite": "網站",
+            "areaLocal": "本區",
+            "areaRegion": "悉尼地區",
+            "areaStatewide": "新州全州",
+            "areaNational": "全澳",
+            "deliveryInPerson": "親身服務",
+            "deliveryPhone": "電話",
+            "deliveryOnline": "網上",
             "noServicesFound": "呢個類別搵唔到服務。",
+            "loadingServices": "正在載入服務…",
+            "catAll": "所有類別",
             "catFirstNations": "原住民服務",
             "catArts": "藝術",
             "catHealth": "健康與福祉",
@@ -672,29 +849,112 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "政府部門",
             "catLgbtqia": "LGBTQIA+ 社區",
             "catMulticultural": "多元文化",
+            "catDrugAlcohol": "藥物和酒精",
+            "catEducation": "教育、培訓和就業",
+            "catHousing": "住房與無家可歸",
+            "catLegal": "法律支援",
+            "catPolice": "警察和緊急服務",
+            "catSeniors": "長者",
+            "catTransport": "交通",
             "clearAllFilters": "清除所有篩選",
-            "scrollCommunity": "社區",
-            "scrollHealth": "健康",
-            "scrollArts": "藝術",
-            "scrollYouth": "青年",
-            "scrollFamily": "家庭",
-            "scrollSupport": "支援",
-            "scrollCultural": "文化",
-            "scrollDisability": "殘疾",
-            "scrollEmergency": "緊急",
-            "scrollGovernment": "政府"
+            "scrollCommunity": "社區"
         },
         "Nepali": {
             "titleFind": "खोज्नुहोस्",
             "titleResources": "स्रोतहरू",
             "titleAtTheLibrary": "पुस्तकालयमा",
             "headingSelectLanguage": "आफ्नो भाषा छान्नुहोस्:",
+            "servicesInMyLanguage": "मेरो भाषामा सेवाहरू",
+            "headingSearch": "खोज्नुहोस्:",
+            "searchPlaceholder": "जस्तै “खाना” वा “आवास”",
+            "labelNear": "नजिकको उपनगर वा पोस्टकोड:",
+            "locationPlaceholder": "जस्तै Hurstville वा 2220",
+            "locationNotFound": "उपनगर वा पोस्टकोड भेटिएन",
+            "sortedByDistance": "{place} बाट दूरीअनुसार क्रमबद्ध",
+            "distanceKm": "{distance} कि.मी.",
+            "useMyLocation": "मेरो स्थान प्रयोग गर्नुहोस्",
+            "locatingYou": "तपाईंको स्थान खोज्दै…",
+            "yourLocation": "तपाईंको स्थान",
+            "locationDenied": "स्थान अनुमति अस्वीकार गरियो। बरु उपनगर वा पोस्टकोड टाइप गर्नुहोस्।",
+            "locationUnavailable": "तपाईंको स्थान भेटिएन। बरु उपनगर वा पोस्टकोड टाइप गर्नुहोस्।",
+            "locationUnsupported": "यो ब्राउजरले तपाईंको स्थान साझा गर्न सक्दैन। बरु उपनगर वा पोस्टकोड टाइप गर्नुहोस्।",
+            "didYouMean": "के तपाईंले {query} भन्न खोज्नुभएको हो?",
             "headingChooseCategory": "एउटा श्रेणी छान्नुहोस्:",
             "listHeader": "सेवा निर्देशिका",
+            "sortBy": "क्रमबद्ध गर्नुहोस्",
+            "sortDefault": "निर्देशिकाको क्रम",
+            "sortName": "नाम",
+            "sortDistance": "दूरी",
+            "sortVerified": "भर्खरै जाँच गरिएको",
+            "groupByCategory": "श्रेणीअनुसार समूह बनाउनुहोस्",
+            "searchThisArea": "यो क्षेत्रमा खोज्नुहोस्",
+            "areaHiddenOne": "यो नक्सा क्षेत्र बाहिरको १ सेवा लुकाइएको छ।",
+            "areaHiddenMany": "यो नक्सा क्षेत्र बाहिरका {count} सेवाहरू लुकाइएका छन्।",
+            "areaAllShown": "यो नक्सा क्षेत्रका सेवाहरू देखाइँदै।",
+            "showAllAreas": "सबै देखाउनुहोस्",
             "labelAddress": "ठेगाना:",
             "labelPhone": "फोन:",
             "labelEmail": "इमेल:",
+            "labelHours": "समय:",
+            "copyButton": "प्रतिलिपि",
+            "copySuccess": "प्रतिलिपि गरियो",
+            "copyFailed": "प्रतिलिपि गर्न सकिएन",
+            "copyPhone": "फोन नम्बर प्रतिलिपि गर्नुहोस्",
+            "copyEmail": "इमेल ठेगाना प्रतिलिपि गर्नुहोस्",
+            "copyAddress": "ठेगाना प्रतिलिपि गर्नुहोस्",
+            "copyLink": "लिङ्क प्रतिलिपि गर्नुहोस्",
+            "copyLinkTo": "{name} को लिङ्क प्रतिलिपि गर्नुहोस्",
+            "partnerLinkNotFound": "यस लिङ्कको सेवा अब सूचीमा छैन। तलको निर्देशिका हेर्नुहोस्।",
+            "contactSms": "एसएमएस:",
+            "contactWebchat": "वेब च्याट:",
+            "contactTty": "TTY:",
+            "contactNrs": "राष्ट्रिय रिले सेवा:",
+            "contactInterpreter": "दोभाषे:",
+            "startChat": "च्याट सुरु गर्नुहोस्",
+            "relayAskFor": "{number} माग्नुहोस्",
+            "headingAvailability": "उपलब्धता:",
+            "openNow": "अहिले खुला",
+            "closedNow": "अहिले बन्द",
+            "dayClosed": "बन्द",
+            "open247": "२४ घण्टा, हप्ताको ७ दिन खुला",
+            "openNowNote": "प्रकाशित खुल्ने समय भएका सेवाहरू मात्र देखाइन्छन्।",
+            "publicHolidayNotice": "सार्वजनिक बिदा – समय फरक हुन सक्छ",
+            "headingEligibility": "योग्यता:",
+            "costFree": "निःशुल्क",
+            "costLowCost": "कम शुल्क",
+            "costFee": "शुल्क लाग्छ",
+            "referralRequired": "सिफारिस आवश्यक",
+            "referralNotRequired": "सिफारिस आवश्यक छैन",
+            "ageRange": "उमेर {min}–{max}",
+            "ageFrom": "उमेर {min}+",
+            "ageUpTo": "उमेर {max} सम्म",
+            "labelAge": "उमेर",
+            "labelTargetGroup": "कसका लागि",
+            "targetGroupAll": "सबै",
+            "eligibilityNote": "यो जानकारी प्रकाशित नगरेका सेवाहरू देखाइँदैनन्।",
+            "groupFirstNations": "आदिवासी तथा टोरेस स्ट्रेट टापुवासी",
+            "groupYoungPeople": "युवाहरू",
+            "groupOlderPeople": "ज्येष्ठ नागरिक",
+            "groupFamilies": "परिवारहरू",
+            "groupCarers": "हेरचाहकर्ताहरू",
+            "groupDisability": "अपाङ्गता भएका व्यक्तिहरू",
+            "groupLgbtqia": "LGBTQIA+ व्यक्तिहरू",
+            "groupMulticultural": "बहुसांस्कृतिक समुदायहरू",
+            "groupVictimsOfCrime": "अपराध पीडितहरू",
+            "locationsCount": "{count} स्थानहरू",
+            "detailsChecked": "विवरण जाँच गरिएको: {date}",
+            "remoteServicesHeader": "फोन र अनलाइन सेवाहरू",
+            "labelWebsite": "वेबसाइट",
+            "areaLocal": "स्थानीय",
+            "areaRegion": "सिड्नी क्षेत्र",
+            "areaStatewide": "NSW भर",
+            "areaNational": "अष्ट्रेलियाभर",
+            "deliveryInPerson": "प्रत्यक्ष",
+            "deliveryPhone": "फोन",
+            "deliveryOnline": "अनलाइन",
             "noServicesFound": "यस श्रेणीका लागि कुनै सेवाहरू फेला परेन।",
+            "loadingServices": "सेवाहरू लोड हुँदैछन्...",
+            "catAll": "सबै वर्गहरू",
             "catFirstNations": "प्रथम राष्ट्र",
             "catArts": "कला",
             "catHealth": "स्वास्थ्य र कल्याण",
@@ -708,29 +968,112 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "सरकारी विभागहरू",
             "catLgbtqia": "LGBTQIA+ समुदायहरू",
             "catMulticultural": "बहुसांस्कृतिक",
+            "catDrugAlcohol": "लागुपदार्थ र मदिरा",
+            "catEducation": "शिक्षा, तालिम र रोजगार",
+            "catHousing": "आवास र घरबारविहीनता",
+            "catLegal": "कानूनी समर्थन",
+            "catPolice": "प्रहरी र आपतकालीन सेवाहरू",
+            "catSeniors": "ज्येष्ठ नागरिक",
+            "catTransport": "यातायात",
             "clearAllFilters": "सबै फिल्टरहरू हटाउनुहोस्",
-            "scrollCommunity": "समुदाय",
-            "scrollHealth": "स्वास्थ्य",
-            "scrollArts": "कला",
-            "scrollYouth": "युवा",
-            "scrollFamily": "परिवार",
-            "scrollSupport": "समर्थन",
-            "scrollCultural": "सांस्कृतिक",
-            "scrollDisability": "अपाङ्गता",
-            "scrollEmergency": "आपतकालीन",
-            "scrollGovernment": "सरकार"
+            "scrollCommunity": "समुदाय"
         },
         "Italian": {
             "titleFind": "Trova",
             "titleResources": "risorse",
             "titleAtTheLibrary": "in biblioteca",
             "headingSelectLanguage": "Seleziona la tua lingua:",
+            "servicesInMyLanguage": "Servizi nella mia lingua",
+            "headingSearch": "Cerca:",
+            "searchPlaceholder": "Ad es. “cibo” o “alloggio”",
+            "labelNear": "Vicino a un sobborgo o CAP:",
+            "locationPlaceholder": "Ad es. Hurstville o 2220",
+            "locationNotFound": "Sobborgo o CAP non trovato",
+            "sortedByDistance": "Ordinati per distanza, punto di partenza: {place}",
+            "distanceKm": "{distance} km",
+            "useMyLocation": "Usa la mia posizione",
+            "locatingYou": "Ricerca della tua posizione…",
+            "yourLocation": "la tua posizione",
+            "locationDenied": "L'accesso alla posizione è stato negato. Scrivi invece un sobborgo o un CAP.",
+            "locationUnavailable": "Impossibile trovare la tua posizione. Scrivi invece un sobborgo o un CAP.",
+            "locationUnsupported": "Questo browser non può condividere la tua posizione. Scrivi invece un sobborgo o un CAP.",
+            "didYouMean": "Forse cercavi {query}?",
             "headingChooseCategory": "Scegli una categoria:",
             "listHeader": "Elenco dei servizi",
+            "sortBy": "Ordina per",
+            "sortDefault": "Ordine dell'elenco",
+            "sortName": "Nome (A–Z)",
+            "sortDistance": "Distanza",
+            "sortVerified": "Verificati di recente",
+            "groupByCategory": "Raggruppa per categoria",
+            "searchThisArea": "Cerca in questa zona",
+            "areaHiddenOne": "1 servizio fuori da questa zona della mappa è nascosto.",
+            "areaHiddenMany": "{count} servizi fuori da questa zona della mappa sono nascosti.",
+            "areaAllShown": "Servizi in questa zona della mappa.",
+            "showAllAreas": "Mostra tutti",
             "labelAddress": "Indirizzo:",
             "labelPhone": "Telefono:",
             "labelEmail": "E-mail:",
+            "labelHours": "Orari:",
+            "copyButton": "Copia",
+            "copySuccess": "Copiato",
+            "copyFailed": "Impossibile copiare",
+            "copyPhone": "Copia numero di telefono",
+            "copyEmail": "Copia indirizzo email",
+            "copyAddress": "Copia indirizzo",
+            "copyLink": "Copia link",
+            "copyLinkTo": "Copia il link a {name}",
+            "partnerLinkNotFound": "Il servizio di questo link non è più nell'elenco. Consulta l'elenco qui sotto.",
+            "contactSms": "SMS:",
+            "contactWebchat": "Chat online:",
+            "contactTty": "TTY:",
+            "contactNrs": "National Relay Service:",
+            "contactInterpreter": "Interprete:",
+            "startChat": "Avvia una chat",
+            "relayAskFor": "Chiedi del {number}",
+            "headingAvailability": "Disponibilità:",
+            "openNow": "Aperto ora",
+            "closedNow": "Chiuso ora",
+            "dayClosed": "Chiuso",
+            "open247": "Aperto 24 ore su 24, 7 giorni su 7",
+            "openNowNote": "Sono mostrati solo i servizi con orari pubblicati.",
+            "publicHolidayNotice": "Giorno festivo – gli orari potrebbero variare",
+            "headingEligibility": "Requisiti:",
+            "costFree": "Gratuito",
+            "costLowCost": "A basso costo",
+            "costFee": "A pagamento",
+            "referralRequired": "Invio necessario",
+            "referralNotRequired": "Nessun invio necessario",
+            "ageRange": "Età {min}–{max}",
+            "ageFrom": "Età {min}+",
+            "ageUpTo": "Età fino a {max}",
+            "labelAge": "Età",
+            "labelTargetGroup": "Per chi",
+            "targetGroupAll": "Tutti",
+            "eligibilityNote": "I servizi che non hanno pubblicato queste informazioni non sono mostrati.",
+            "groupFirstNations": "Aborigeni e isolani dello Stretto di Torres",
+            "groupYoungPeople": "Giovani",
+            "groupOlderPeople": "Anziani",
+            "groupFamilies": "Famiglie",
+            "groupCarers": "Assistenti familiari",
+            "groupDisability": "Persone con disabilità",
+            "groupLgbtqia": "Persone LGBTQIA+",
+            "groupMulticultural": "Comunità multiculturali",
+            "groupVictimsOfCrime": "Vittime di reato",
+            "locationsCount": "{count} sedi",
+            "detailsChecked": "Dati verificati a {date}",
+            "remoteServicesHeader": "Servizi telefonici e online",
+            "labelWebsite": "Sito web",
+            "areaLocal": "Locale",
+            "areaRegion": "Area di Sydney",
+            "areaStatewide": "In tutto il NSW",
+            "areaNational": "In tutta l'Australia",
+            "deliveryInPerson": "Di persona",
+            "deliveryPhone": "Telefono",
+            "deliveryOnline": "Online",
             "noServicesFound": "Nessun servizio trovato per questa categoria.",
+            "loadingServices": "Caricamento dei servizi...",
+            "catAll": "Tutte le categorie",
             "catFirstNations": "Prime Nazioni",
             "catArts": "Arte",
             "catHealth": "Salute e benessere",
@@ -744,29 +1087,112 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "Dipartimenti governativi",
             "catLgbtqia": "Comunità LGBTQIA+",
             "catMulticultural": "Multiculturale",
+            "catDrugAlcohol": "Droghe e alcol",
+            "catEducation": "Istruzione, formazione e impiego",
+            "catHousing": "Alloggio e senzatetto",
+            "catLegal": "Supporto legale",
+            "catPolice": "Polizia e servizi di emergenza",
+            "catSeniors": "Anziani",
+            "catTransport": "Trasporti",
             "clearAllFilters": "Cancella Tutti i Filtri",
-            "scrollCommunity": "comunità",
-            "scrollHealth": "salute",
-            "scrollArts": "arte",
-            "scrollYouth": "gioventù",
-            "scrollFamily": "famiglia",
-            "scrollSupport": "supporto",
-            "scrollCultural": "culturale",
-            "scrollDisability": "disabilità",
-            "scrollEmergency": "emergenza",
-            "scrollGovernment": "governo"
+            "scrollCommunity": "comunità"
         },
         "Greek": {
             "titleFind": "Βρείτε",
             "titleResources": "πόρους",
             "titleAtTheLibrary": "στη βιβλιοθήκη",
             "headingSelectLanguage": "Επιλέξτε τη γλώσσα σας:",
+            "servicesInMyLanguage": "Υπηρεσίες στη γλώσσα μου",
+            "headingSearch": "Αναζήτηση:",
+            "searchPlaceholder": "π.χ. «τρόφιμα» ή «στέγαση»",
+            "labelNear": "Κοντά σε προάστιο ή ταχ. κώδικα:",
+            "locationPlaceholder": "π.χ. Hurstville ή 2220",
+            "locationNotFound": "Δεν βρέθηκε το προάστιο ή ο ταχ. κώδικας",
+            "sortedByDistance": "Ταξινόμηση κατά απόσταση από {place}",
+            "distanceKm": "{distance} χλμ.",
+            "useMyLocation": "Χρήση της τοποθεσίας μου",
+            "locatingYou": "Εντοπισμός της τοποθεσίας σας…",
+            "yourLocation": "την τοποθεσία σας",
+            "locationDenied": "Η άδεια τοποθεσίας απορρίφθηκε. Πληκτρολογήστε προάστιο ή ταχ. κώδικα.",
+            "locationUnavailable": "Δεν ήταν δυνατός ο εντοπισμός σας. Πληκτρολογήστε προάστιο ή ταχ. κώδικα.",
+            "locationUnsupported": "Αυτό το πρόγραμμα περιήγησης δεν μπορεί να κοινοποιήσει την τοποθεσία σας. Πληκτρολογήστε προάστιο ή ταχ. κώδικα.",
+            "didYouMean": "Μήπως εννοείτε {query};",
             "headingChooseCategory": "Επιλέξτε μια κατηγορία:",
             "listHeader": "Κατάλογος Υπηρεσιών",
+            "sortBy": "Ταξινόμηση κατά",
+            "sortDefault": "Σειρά καταλόγου",
+            "sortName": "Όνομα (Α–Ω)",
+            "sortDistance": "Απόσταση",
+            "sortVerified": "Πρόσφατα ελεγμένες",
+            "groupByCategory": "Ομαδοποίηση ανά κατηγορία",
+            "searchThisArea": "Αναζήτηση σε αυτή την περιοχή",
+            "areaHiddenOne": "1 υπηρεσία εκτός αυτής της περιοχής του χάρτη είναι κρυφή.",
+            "areaHiddenMany": "{count} υπηρεσίες εκτός αυτής της περιοχής του χάρτη είναι κρυφές.",
+            "areaAllShown": "Εμφανίζονται υπηρεσίες σε αυτή την περιοχή του χάρτη.",
+            "showAllAreas": "Εμφάνιση όλων",
             "labelAddress": "Διεύθυνση:",
             "labelPhone": "Τηλέφωνο:",
             "labelEmail": "Ηλεκτρονική Διεύθυνση:",
+            "labelHours": "Ώρες:",
+            "copyButton": "Αντιγραφή",
+            "copySuccess": "Αντιγράφηκε",
+            "copyFailed": "Δεν ήταν δυνατή η αντιγραφή",
+            "copyPhone": "Αντιγραφή αριθμού τηλεφώνου",
+            "copyEmail": "Αντιγραφή διεύθυνσης email",
+            "copyAddress": "Αντιγραφή διεύθυνσης",
+            "copyLink": "Αντιγραφή συνδέσμου",
+            "copyLinkTo": "Αντιγραφή συνδέσμου για {name}",
+            "partnerLinkNotFound": "Η υπηρεσία αυτού του συνδέσμου δεν αναφέρεται πλέον. Δείτε τον κατάλογο παρακάτω.",
+            "contactSms": "SMS:",
+            "contactWebchat": "Διαδικτυακή συνομιλία:",
+            "contactTty": "TTY:",
+            "contactNrs": "Εθνική Υπηρεσία Αναμετάδοσης:",
+            "contactInterpreter": "Διερμηνέας:",
+            "startChat": "Έναρξη συνομιλίας",
+            "relayAskFor": "Ζητήστε το {number}",
+            "headingAvailability": "Διαθεσιμότητα:",
+            "openNow": "Ανοιχτό τώρα",
+            "closedNow": "Κλειστό τώρα",
+            "dayClosed": "Κλειστό",
+            "open247": "Ανοιχτό 24 ώρες, 7 ημέρες",
+            "openNowNote": "Εμφανίζονται μόνο οι υπηρεσίες με δημοσιευμένο ωράριο.",
+            "publicHolidayNotice": "Επίσημη αργία – το ωράριο μπορεί να διαφέρει",
+            "headingEligibility": "Επιλεξιμότητα:",
+            "costFree": "Δωρεάν",
+            "costLowCost": "Χαμηλό κόστος",
+            "costFee": "Με χρέωση",
+            "referralRequired": "Απαιτείται παραπομπή",
+            "referralNotRequired": "Δεν απαιτείται παραπομπή",
+            "ageRange": "Ηλικίες {min}–{max}",
+            "ageFrom": "Ηλικίες {min}+",
+            "ageUpTo": "Ηλικίες έως {max}",
+            "labelAge": "Ηλικία",
+            "labelTargetGroup": "Για ποιους",
+            "targetGroupAll": "Όλοι",
+            "eligibilityNote": "Οι υπηρεσίες που δεν έχουν δημοσιεύσει αυτές τις πληροφορίες δεν εμφανίζονται.",
+            "groupFirstNations": "Αβορίγινες και νησιώτες του Στενού Τόρες",
+            "groupYoungPeople": "Νέοι",
+            "groupOlderPeople": "Ηλικιωμένοι",
+            "groupFamilies": "Οικογένειες",
+            "groupCarers": "Φροντιστές",
+            "groupDisability": "Άτομα με αναπηρία",
+            "groupLgbtqia": "Άτομα LGBTQIA+",
+            "groupMulticultural": "Πολυπολιτισμικές κοινότητες",
+            "groupVictimsOfCrime": "Θύματα εγκλημάτων",
+            "locationsCount": "{count} τοποθεσίες",
+            "detailsChecked": "Τα στοιχεία ελέγχθηκαν: {date}",
+            "remoteServicesHeader": "Τηλεφωνικές και διαδικτυακές υπηρεσίες",
+            "labelWebsite": "Ιστότοπος",
+            "areaLocal": "Τοπικά",
+            "areaRegion": "Περιοχή Σίδνεϊ",
+            "areaStatewide": "Σε όλη τη ΝΝΟ",
+            "areaNational": "Σε όλη την Αυστραλία",
+            "deliveryInPerson": "Αυτοπροσώπως",
+            "deliveryPhone": "Τηλέφωνο",
+            "deliveryOnline": "Διαδικτυακά",
             "noServicesFound": "Δεν βρέθηκαν υπηρεσίες για αυτήν την κατηγορία.",
+            "loadingServices": "Φόρτωση υπηρεσιών...",
+            "catAll": "Όλες οι κατηγορίες",
             "catFirstNations": "Υπηρεσίες Πρώτων Εθνών",
             "catArts": "Τέχνες",
             "catHealth": "Υγεία & Ευεξία",
@@ -780,24 +1206,56 @@ document.addEventListener('DOMContentLoaded', () => {
             "catGovernment": "Κυβερνητικές Υπηρεσίες",
             "catLgbtqia": "Κοινότητες LGBTQIA+",
             "catMulticultural": "Πολυπολιτισμικό",
+            "catDrugAlcohol": "Ναρκωτικά & Αλκοόλ",
+            "catEducation": "Εκπαίδευση, Κατάρτιση & Απασχόληση",
+            "catHousing": "Στέγαση & Αστεγία",
+            "catLegal": "Νομική Υποστήριξη",
+            "catPolice": "Αστυνομία & Υπηρεσίες Έκτακτης Ανάγκης",
+            "catSeniors": "Ηλικιωμένοι",
+            "catTransport": "Μεταφορές",
             "clearAllFilters": "Καθαρισμός Όλων των Φίλτρων",
-            "scrollCommunity": "κοινότητα",
-            "scrollHealth": "υγεία",
-            "scrollArts": "τέχνες",
-            "scrollYouth": "νεολαία",
-            "scrollFamily": "οικογένεια",
-            "scrollSupport": "υποστήριξη",
-            "scrollCultural": "πολιτιστικό",
-            "scrollDisability": "αναπηρία",
-            "scrollEmergency": "έκτακτη ανάγκη",
-            "scrollGovernment": "κυβέρνηση"
+            "scrollCommunity": "κοινότητα"
         }
     };
 
     let map, markerLayer;
     let selectedLanguage = 'English';
-    let selectedCommunity = 'First Nations';
+    // Selected category ids; an empty list means "All categories"
+    let selectedCategories = [];
+    let openNowOnly = false;
+    let myLanguageOnly = false;
+    let searchTerms = [];
+    // Order of the directory list: 'default', 'name', 'distance' or 'verified'
+    let sortOrder = 'default';
+    let groupByCategory = false;
+    // Map area the list is limited to after "Search this area" (L.LatLngBounds), or null for everywhere
+    let areaBounds = null;
+    // Place the list is sorted from ({ lat, lng, label, fromDevice }), or null for the default order.
+    // A device position only lives in this variable: it is never stored or sent anywhere.
+    let referencePoint = null;
+    // Translation key of the message under the location box, e.g. 'locationNotFound'
+    let locationMessageKey = null;
+    
+    // How many of the nearest services "Use my location" fits the map to
+    const NEAREST_FIT_COUNT = 5;
+    let eligibilityFilter = { costs: [], noReferral: false, targetGroup: '', age: null };
     let originalTexts = {};
+    
+    // Map markers of each partner by slug, in location order
+    let partnerMarkers = new Map();
+    // Popup open on the map ({ slug, site }), or null
+    let openPopup = null;
+    // Categories from the URL, held until the category registry has loaded
+    let pendingUrlCategories = null;
+    // Set while the page applies a URL or redraws markers, so those changes are not written back to the URL
+    let restoringUrlState = false;
+    let redrawingMarkers = false;
+    let popupCloseTimer = null;
+    // Set before the page moves the map itself and cleared by the next "moveend", so only
+    // the person's own panning and zooming offer "Search this area"
+    let programmaticMove = false;
+    // Slug of the partner opened from a "#/partner/<slug>" link, whose card stays highlighted
+    let linkedPartnerSlug = null;
 
     /**
      * Initializes the Leaflet map component
@@ -820,12 +1278,25 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         try {
-            map = L.map('map').setView([-33.97, 151.08], 11);
+            map = L.map('map').setView([DEFAULT_MAP_VIEW.lat, DEFAULT_MAP_VIEW.lng], DEFAULT_MAP_VIEW.zoom);
             L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
                 attribution: '&copy; OpenStreetMap contributors'
             }).addTo(map);
             markerLayer = L.layerGroup().addTo(map);
             
+            // Panning and zooming update the link without adding history entries
+            map.on('moveend', () => {
+                updateUrl('replace');
+                if (!programmaticMove) {
+                    offerAreaSearch();
+                }
+                programmaticMove = false;
+            });
+            // An opening popup pans the map to fit
+            map.on('autopanstart', () => {
+                programmaticMove = true;
+            });
+            
             setTimeout(() => {
                 if (map) {
                     map.invalidateSize();
@@ -839,7 +1310,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * Generates QR code for organization website URLs
+     * Generates QR code for a URL, such as a partner's directory link
      * 
      * Creates a QR code image element for the provided URL with optional
      * security validation. Falls back to basic validation if SecurityManager
@@ -1001,8 +1472,17 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
         
+        // Placeholder text of inputs such as the search box
+        document.querySelectorAll('[data-translate-placeholder]').forEach(el => {
+            const key = el.dataset.translatePlaceholder;
+            if (translationSet[key]) {
+                el.placeholder = translationSet[key];
+            }
+        });
+        
         // Restart scrolling category animation with new language
         startScrollingCategory();
+        renderTargetGroupOptions();
         
         updateDisplay();
     }
@@ -1010,23 +1490,29 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Updates the map markers and organization list display
      * 
-     * Filters organizations based on selected language and community category,
+     * Filters organizations by community category and the other active filters,
      * clears existing map markers and list items, then populates both the map
      * and list with filtered results. Handles empty results with user feedback.
+     * The selected language only filters when "Services in my language" is on.
      * 
      * @modifies {L.LayerGroup} markerLayer - Clears and repopulates map markers
      * @modifies {HTMLUListElement} organisationList - Updates organization list content
+     * @modifies {HTMLElement} #remote-services - Lists the services that have no map marker
      * 
-     * @uses {string} selectedLanguage - Global variable for current language filter
-     * @uses {string} selectedCommunity - Global variable for current community filter
+     * @uses {string} selectedLanguage - Global variable for current interface language
+     * @uses {boolean} myLanguageOnly - Global "Services in my language" toggle
+     * @uses {Array<string>} selectedCategories - Global selected categories (empty for all)
+     * @uses {boolean} openNowOnly - Global "Open now" toggle, evaluated in Sydney time
+     * @uses {Object} eligibilityFilter - Global cost, referral, target group and age facets
+     * @uses {Array<Object>} searchTerms - Global search box terms (see parseSearchQuery)
      * @uses {Array<Object>} sanitizedPartners - Global array of validated partner data
      * 
      * @example
-     * selectedCommunity = 'Arts';
-     * updateDisplay(); // Shows only Arts organizations
+     * selectedCategories = ['Arts', 'Youth'];
+     * updateDisplay(); // Shows organizations in either category
      */
     function updateDisplay() {
-        console.log('Updating display for community:', selectedCommunity);
+        console.log('Updating display for categories:', selectedCategories.length > 0 ? selectedCategories : 'all');
         const organisationList = document.getElementById('organisation-list');
         const listHeader = document.getElementById('list-header');
         
@@ -1035,7 +1521,11 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        // Removing the markers closes any popup; it is reopened below if its partner is still listed
+        redrawingMarkers = true;
         markerLayer.clearLayers();
+        redrawingMarkers = false;
+        partnerMarkers = new Map();
         // Clear list safely
         while (organisationList.firstChild) {
             organisationList.removeChild(organisationList.firstChild);
@@ -1046,13 +1536,56 @@ document.addEventListener('DOMContentLoaded', () => {
             listHeader.textContent = currentTranslations.listHeader;
         }
         
-        const filteredPartners = sanitizedPartners.filter(p => {
-            const languageMatch = p.languages.includes(selectedLanguage) || p.languages.includes('English');
-            const communityMatch = p.community === selectedCommunity;
-            return languageMatch && communityMatch;
-        });
+        // Partner data is fetched asynchronously; show a loading state until it arrives
+        if (!partnerDataLoaded) {
+            const loadingItem = document.createElement('li');
+            loadingItem.className = 'organisation-item loading';
+            loadingItem.textContent = currentTranslations.loadingServices;
+            organisationList.appendChild(loadingItem);
+            return;
+        }
+        
+        // How many services list the interface language, shown on the "Services in my language" toggle
+        const myLanguageCount = document.getElementById('my-language-count');
+        if (myLanguageCount) {
+            myLanguageCount.textContent = `(${sanitizedPartners.filter(p => p.languages.includes(selectedLanguage)).length})`;
+        }
+        updateCategoryCounts();
+        
+        updateLocationStatus(currentTranslations);
+        
+        syncSortControls();
+        const filteredPartners = sortPartners(filterPartners(searchTerms));
+        
+        // Mark the place the list is sorted from
+        if (referencePoint) {
+            L.marker([referencePoint.lat, referencePoint.lng], {
+                icon: L.divIcon({
+                    className: referencePoint.fromDevice ? 'reference-marker device-marker' : 'reference-marker',
+                    iconSize: [18, 18]
+                }),
+                title: getReferenceLabel(currentTranslations),
+                keyboard: false
+            }).addTo(markerLayer);
+        }
         
         console.log('Found', filteredPartners.length, 'partners');
+        
+        renderRemoteServices(filteredPartners, currentTranslations);
+        
+        // Services without published hours or eligibility details are filtered out, so say why they are missing
+        if (openNowOnly) {
+            const noteItem = document.createElement('li');
+            noteItem.className = 'organisation-item list-note';
+            noteItem.textContent = currentTranslations.openNowNote;
+            organisationList.appendChild(noteItem);
+        }
+        if (eligibilityFilter.costs.length > 0 || eligibilityFilter.noReferral || eligibilityFilter.targetGroup) {
+            const noteItem = document.createElement('li');
+            noteItem.className = 'organisation-item list-note';
+            noteItem.textContent = currentTranslations.eligibilityNote;
+            organisationList.appendChild(noteItem);
+        }
 
         if (filteredPartners.length === 0) {
             const noResultsItem = document.createElement('li');
@@ -1061,173 +1594,2336 @@ document.addEventListener('DOMContentLoaded', () => {
             noResultsText.textContent = currentTranslations.noServicesFound;
             noResultsItem.appendChild(noResultsText);
             organisationList.appendChild(noResultsItem);
+            
+            const searchInput = document.getElementById('search-input');
+            const suggestion = searchInput && searchTerms.length > 0 ? suggestSearchQuery(searchInput.value) : null;
+            if (suggestion) {
+                organisationList.appendChild(createSearchSuggestion(suggestion, currentTranslations));
+            }
             return;
         }
 
-        filteredPartners.forEach((partner) => {
-            const description = partner.description[selectedLanguage] || partner.description['English'];
-            const emailHTML = (partner.email && partner.email !== "N/A") 
-                ? `<p><strong>${currentTranslations.labelEmail}</strong> <a href="mailto:${partner.email}">${partner.email}</a></p>`
-                : '';
+        const getDescription = partner => partner.description[selectedLanguage] || partner.description['English'];
+        const addCard = (list, partner) => {
+            list.appendChild(createPartnerListItem(partner, getDescription(partner), currentTranslations));
+        };
+        
+        // "Search this area" narrows the list only; markers outside the view stay on the map
+        const listedPartners = areaBounds ? filteredPartners.filter(isInSearchArea) : filteredPartners;
+        if (areaBounds) {
+            organisationList.appendChild(createAreaNote(filteredPartners.length - listedPartners.length, currentTranslations));
+        }
+        
+        if (groupByCategory) {
+            groupPartnersByCategory(listedPartners).forEach(({ category, partners }) => {
+                const group = createCategoryGroup(category, partners.length);
+                partners.forEach(partner => addCard(group.querySelector('.list-group-items'), partner));
+                organisationList.appendChild(group);
+            });
+        } else {
+            listedPartners.forEach(partner => addCard(organisationList, partner));
+        }
+        
+        filteredPartners.forEach(partner => addPartnerMarkers(partner, getDescription(partner), currentTranslations));
+        reopenPartnerPopup();
+    }
 
-            const listItem = document.createElement('li');
-            listItem.className = 'organisation-item';
-            
-            // Create item details container
-            const itemDetails = document.createElement('div');
-            itemDetails.className = 'item-details';
-            
-            // Create and add title
-            const title = document.createElement('h3');
-            title.textContent = partner.name;
-            itemDetails.appendChild(title);
-            
-            // Create and add description
-            const descriptionP = document.createElement('p');
-            descriptionP.className = 'item-description';
-            descriptionP.textContent = description;
-            itemDetails.appendChild(descriptionP);
-            
-            // Create and add address
-            const addressP = document.createElement('p');
-            const addressLabel = document.createElement('strong');
-            addressLabel.textContent = currentTranslations.labelAddress;
-            addressP.appendChild(addressLabel);
-            addressP.appendChild(document.createTextNode(' ' + partner.address));
-            itemDetails.appendChild(addressP);
-            
-            // Create and add phone
-            const phoneP = document.createElement('p');
-            const phoneLabel = document.createElement('strong');
-            phoneLabel.textContent = currentTranslations.labelPhone;
-            phoneP.appendChild(phoneLabel);
-            phoneP.appendChild(document.createTextNode(' ' + partner.phone));
-            itemDetails.appendChild(phoneP);
-            
-            // Add email if exists
-            if (partner.email && partner.email !== 'N/A') {
-                const emailP = document.createElement('p');
-                const emailLabel = document.createElement('strong');
-                emailLabel.textContent = currentTranslations.labelEmail;
-                emailP.appendChild(emailLabel);
-                emailP.appendChild(document.createTextNode(' '));
-                
-                const emailLink = document.createElement('a');
-                emailLink.href = `mailto:${partner.email}`;
-                emailLink.textContent = partner.email;
-                emailP.appendChild(emailLink);
-                itemDetails.appendChild(emailP);
-            }
-            
-            // Create QR code container
-            const qrContainer = document.createElement('div');
-            qrContainer.className = 'item-qr-code';
-            qrContainer.appendChild(generateQrCode(partner.website));
-            
-            // Assemble the list item
-            listItem.appendChild(itemDetails);
-            listItem.appendChild(qrContainer);
-            organisationList.appendChild(listItem);
+    /**
+     * Checks whether a partner belongs in the "Search this area" list
+     * 
+     * Services without a mapped site (phone and online services) are not
+     * tied to an area, so they are always listed.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {boolean} True if a site is inside areaBounds or the partner has no mapped site
+     */
+    function isInSearchArea(partner) {
+        const sites = partner.locations.filter(hasCoordinates);
+        return sites.length === 0 || sites.some(location => areaBounds.contains([location.lat, location.lng]));
+    }
 
-            if (partner.lat && partner.lng) {
-                const marker = L.marker([partner.lat, partner.lng]).addTo(markerLayer);
-                
-                // Create popup content safely using DOM methods
-                const popupContainer = document.createElement('div');
-                
-                // Create title
-                const popupTitle = document.createElement('h3');
-                popupTitle.textContent = partner.name;
-                popupContainer.appendChild(popupTitle);
-                
-                // Create description
-                const popupDesc = document.createElement('p');
-                popupDesc.className = 'popup-description';
-                popupDesc.textContent = description;
-                popupContainer.appendChild(popupDesc);
-                
-                // Create details container
-                const popupDetails = document.createElement('div');
-                popupDetails.className = 'popup-details';
-                
-                // Add address
-                const popupAddress = document.createElement('p');
-                const addressLabel = document.createElement('strong');
-                addressLabel.textContent = currentTranslations.labelAddress;
-                popupAddress.appendChild(addressLabel);
-                popupAddress.appendChild(document.createTextNode(' ' + partner.address));
-                popupDetails.appendChild(popupAddress);
-                
-                // Add phone
-                const popupPhone = document.createElement('p');
-                const phoneLabel = document.createElement('strong');
-                phoneLabel.textContent = currentTranslations.labelPhone;
-                popupPhone.appendChild(phoneLabel);
-                popupPhone.appendChild(document.createTextNode(' ' + partner.phone));
-                popupDetails.appendChild(popupPhone);
-                
-                // Add email if exists
-                if (partner.email && partner.email !== 'N/A') {
-                    const popupEmail = document.createElement('p');
-                    const emailLabel = document.createElement('strong');
-                    emailLabel.textContent = currentTranslations.labelEmail;
-                    popupEmail.appendChild(emailLabel);
-                    popupEmail.appendChild(document.createTextNode(' '));
-                    
-                    const emailLink = document.createElement('a');
-                    emailLink.href = `mailto:${partner.email}`;
-                    emailLink.textContent = partner.email;
-                    popupEmail.appendChild(emailLink);
-                    popupDetails.appendChild(popupEmail);
-                }
-                
-                popupContainer.appendChild(popupDetails);
-                
-                // Add QR code
-                const popupQr = document.createElement('div');
-                popupQr.className = 'popup-qr-code';
-                popupQr.appendChild(generateQrCode(partner.website));
-                popupContainer.appendChild(popupQr);
-                
-                marker.bindPopup(popupContainer);
-            }
+    /**
+     * Creates the note at the top of a "Search this area" list
+     * 
+     * @param {number} hiddenCount - Matching services with every site outside the area
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLLIElement} Note with the hidden count and a "Show all" button
+     */
+    function createAreaNote(hiddenCount, currentTranslations) {
+        const noteItem = document.createElement('li');
+        noteItem.className = 'organisation-item list-note area-note';
+        
+        let message = currentTranslations.areaAllShown;
+        if (hiddenCount === 1) {
+            message = currentTranslations.areaHiddenOne;
+        } else if (hiddenCount > 1) {
+            message = formatTranslation(currentTranslations.areaHiddenMany, { count: hiddenCount });
+        }
+        noteItem.appendChild(document.createTextNode(`${message} `));
+        
+        const showAllButton = document.createElement('button');
+        showAllButton.type = 'button';
+        showAllButton.className = 'suggestion-button';
+        showAllButton.textContent = currentTranslations.showAllAreas;
+        showAllButton.addEventListener('click', () => {
+            areaBounds = null;
+            updateDisplay();
         });
+        noteItem.appendChild(showAllButton);
+        return noteItem;
     }
 
     /**
-     * Sets up event listeners for language and community filter buttons
-     * 
-     * Attaches click event handlers to all filter buttons, manages active states,
-     * updates global filter variables, and triggers display updates. Handles both
-     * language selection and community category filtering.
+     * Shows the "Search this area" button after the map has moved
      * 
-     * @modifies {HTMLButtonElement} Adds/removes 'active' class from filter buttons
-     * @modifies {string} selectedLanguage - Updates global language filter
-     * @modifies {string} selectedCommunity - Updates global community filter
+     * Only called for moves made by the person using the map. Not offered while
+     * the page applies a URL, or before the directory has loaded.
+     */
+    function offerAreaSearch() {
+        const searchAreaButton = document.getElementById('search-area-button');
+        if (searchAreaButton && partnerDataLoaded && !restoringUrlState) {
+            searchAreaButton.hidden = false;
+        }
+    }
+
+    /**
+     * Limits the list to the services inside the current map view
      * 
-     * @listens click - On language and community filter buttons
-     * @calls applyTranslations() - When language filter changes
-     * @calls updateDisplay() - When community filter changes
+     * @modifies {HTMLButtonElement} #search-area-button - Hidden until the map moves again
+     */
+    function searchThisArea() {
+        areaBounds = map.getBounds();
+        const searchAreaButton = document.getElementById('search-area-button');
+        if (searchAreaButton) {
+            searchAreaButton.hidden = true;
+        }
+        updateDisplay();
+    }
+
+    /**
+     * Creates the "Did you mean …?" line shown when a search finds nothing
      * 
-     * @example
-     * setupFilterButtons(); // Enables all filter button interactions
+     * @param {string} suggestion - Corrected query from suggestSearchQuery
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLLIElement} List item; clicking the suggestion searches for it
      */
-    function setupFilterButtons() {
-        const languageFilters = document.getElementById('language-filters');
-        const communityFilters = document.getElementById('community-filters');
-        const clearAllFiltersBtn = document.getElementById('clear-all-filters');
+    function createSearchSuggestion(suggestion, currentTranslations) {
+        const suggestionItem = document.createElement('li');
+        suggestionItem.className = 'organisation-item list-note search-suggestion';
         
-        if (languageFilters) {
+        const [before, after = ''] = currentTranslations.didYouMean.split('{query}');
+        const suggestionButton = document.createElement('button');
+        suggestionButton.type = 'button';
+        suggestionButton.className = 'suggestion-button';
+        suggestionButton.textContent = suggestion;
+        suggestionButton.addEventListener('click', () => {
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) {
+                searchInput.value = suggestion;
+                searchInput.focus();
+            }
+            searchTerms = parseSearchQuery(suggestion);
+            updateDisplay();
+            updateUrl();
+        });
+        
+        suggestionItem.appendChild(document.createTextNode(before));
+        suggestionItem.appendChild(suggestionButton);
+        suggestionItem.appendChild(document.createTextNode(after));
+        return suggestionItem;
+    }
+
+    /**
+     * Applies the active filters to the directory
+     * 
+     * A partner matches the categories if it belongs to any of them.
+     * 
+     * @param {Array<Object>} terms - Search terms from parseSearchQuery
+     * @param {Array<string>} [categories=selectedCategories] - Category ids; an empty list matches every category
+     * @returns {Array<Object>} Partners matching the category, language,
+     *   "Open now", eligibility and search filters
+     */
+    function filterPartners(terms, categories = selectedCategories) {
+        const serviceTime = getServiceTime();
+        return sanitizedPartners.filter(p => {
+            const languageMatch = !myLanguageOnly || p.languages.includes(selectedLanguage);
+            const communityMatch = categories.length === 0 || categories.some(categoryId => p.categories.includes(categoryId));
+            const openMatch = !openNowOnly || isPartnerOpen(p, serviceTime) === true;
+            return languageMatch && communityMatch && openMatch && matchesEligibility(p) && matchesSearch(p, terms);
+        });
+    }
+
+    /**
+     * Creates a labelled detail line such as "Phone: 1300 327 434"
+     * 
+     * @param {string} labelText - Translated label, including its trailing colon
+     * @param {string|Node} content - Text or element to show after the label
+     * @returns {HTMLParagraphElement} Paragraph containing the label and content
+     */
+    function createLabelledLine(labelText, content) {
+        const line = document.createElement('p');
+        const label = document.createElement('strong');
+        label.textContent = labelText;
+        line.appendChild(label);
+        line.appendChild(document.createTextNode(' '));
+        line.appendChild(typeof content === 'string' ? document.createTextNode(content) : content);
+        return line;
+    }
+
+    /**
+     * Copies text to the clipboard
+     * 
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Resolves to true if the text was copied
+     */
+    function copyToClipboard(text) {
+        if (!navigator.clipboard || !navigator.clipboard.writeText) {
+            return Promise.resolve(false);
+        }
+        return navigator.clipboard.writeText(text).then(() => true, () => false);
+    }
+
+    /**
+     * Creates a button that copies a phone number, email, address or link
+     * 
+     * After a click the button briefly shows "Copied" (or "Could not copy"),
+     * and the same message is announced to screen readers through #copy-status.
+     * 
+     * @param {string} value - Text to copy
+     * @param {string} labelText - Translated accessible name, such as "Copy phone number"
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @param {string} [buttonText] - Visible text; defaults to "Copy" in the selected language
+     * @returns {HTMLButtonElement} Copy button
+     */
+    function createCopyButton(value, labelText, currentTranslations, buttonText = currentTranslations.copyButton) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'copy-button';
+        button.textContent = buttonText;
+        button.setAttribute('aria-label', labelText);
+        button.title = labelText;
+        
+        button.addEventListener('click', () => {
+            copyToClipboard(value).then((copied) => {
+                const message = copied ? currentTranslations.copySuccess : currentTranslations.copyFailed;
+                button.textContent = message;
+                
+                const copyStatus = document.getElementById('copy-status');
+                if (copyStatus) {
+                    copyStatus.textContent = message;
+                }
+                
+                clearTimeout(button.resetTimer);
+                button.resetTimer = setTimeout(() => {
+                    button.textContent = buttonText;
+                }, 2000);
+            });
+        });
+        
+        return button;
+    }
+
+    /**
+     * Adds a copy button to the end of a detail line
+     * 
+     * @param {HTMLParagraphElement} line - Line created by createLabelledLine
+     * @param {string} value - Text to copy
+     * @param {string} labelText - Translated accessible name of the button
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement} The same line
+     */
+    function appendCopyButton(line, value, labelText, currentTranslations) {
+        line.appendChild(document.createTextNode(' '));
+        line.appendChild(createCopyButton(value, labelText, currentTranslations));
+        return line;
+    }
+
+    /**
+     * Creates a phone line with a tel: link and a copy button
+     * 
+     * @param {Object} record - Partner or location with phone (display format) and phoneE164
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement} Phone line; plain text if the number has no E.164 form
+     * 
+     * @example
+     * createPhoneLine({ phone: '13 11 14', phoneE164: '+61131114' }, translations.English);
+     * // <p><strong>Phone:</strong> <a href="tel:+61131114">13 11 14</a> <button>Copy</button></p>
+     */
+    function createPhoneLine(record, currentTranslations) {
+        let content = record.phone;
+        if (record.phoneE164) {
+            content = document.createElement('a');
+            content.href = `tel:${record.phoneE164}`;
+            content.className = 'phone-link';
+            content.textContent = record.phone;
+        }
+        
+        const line = createLabelledLine(currentTranslations.labelPhone, content);
+        return appendCopyButton(line, record.phone, currentTranslations.copyPhone, currentTranslations);
+    }
+
+    /**
+     * Creates an address line with a copy button
+     * 
+     * @param {string} address - Street address
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement} Address line
+     */
+    function createAddressLine(address, currentTranslations) {
+        const line = createLabelledLine(currentTranslations.labelAddress, address);
+        return appendCopyButton(line, address, currentTranslations.copyAddress, currentTranslations);
+    }
+
+    /**
+     * Creates an email line with a mailto link and a copy button
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement|null} Email line, or null if the partner has no email
+     */
+    function createEmailLine(partner, currentTranslations) {
+        if (!partner.email || partner.email === 'N/A') {
+            return null;
+        }
+        
+        const emailLink = document.createElement('a');
+        emailLink.href = `mailto:${partner.email}`;
+        emailLink.textContent = partner.email;
+        const line = createLabelledLine(currentTranslations.labelEmail, emailLink);
+        return appendCopyButton(line, partner.email, currentTranslations.copyEmail, currentTranslations);
+    }
+
+    /**
+     * Creates a website line with a link that opens in a new tab
+     * 
+     * The QR codes on cards and popups lead to the directory, so this line is
+     * how patrons reach the service's own website.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement|null} Website line showing the host name, or null if the partner has no usable website
+     */
+    function createWebsiteLine(partner, currentTranslations) {
+        let host;
+        try {
+            host = new URL(partner.website).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+        
+        const websiteLink = document.createElement('a');
+        websiteLink.href = partner.website;
+        websiteLink.target = '_blank';
+        websiteLink.rel = 'noopener noreferrer';
+        websiteLink.textContent = host;
+        return createLabelledLine(`${currentTranslations.labelWebsite}:`, websiteLink);
+    }
+
+    /**
+     * Creates one line per extra contact channel (SMS, web chat, TTY, relay, interpreter)
+     * 
+     * SMS numbers get an sms: link, web chats a "Start a chat" link, and TTY
+     * and interpreter numbers a tel: link. National Relay Service entries show
+     * the number to ask for. Unknown channel types are skipped.
+     * 
+     * @param {Object} partner - Partner record with normalised contacts
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {DocumentFragment} Contact lines, empty if the partner has none
+     * 
+     * @example
+     * createContactLines({ contacts: [{ type: 'sms', value: '0477 131 114', valueE164: '+61477131114' }] }, translations.English);
+     * // <p class="contact-line"><span>💬</span> <strong>SMS:</strong> <a href="sms:+61477131114">0477 131 114</a> …</p>
+     */
+    function createContactLines(partner, currentTranslations) {
+        const fragment = document.createDocumentFragment();
+        
+        (partner.contacts || []).forEach(contact => {
+            if (!contact || !(contact.type in CONTACT_TYPE_KEYS) || !contact.value) {
+                return;
+            }
+            
+            let content;
+            if (contact.type === 'webchat') {
+                content = document.createElement('a');
+                content.href = contact.value;
+                content.target = '_blank';
+                content.rel = 'noopener noreferrer';
+                content.textContent = currentTranslations.startChat;
+            } else if (contact.type === 'nrs') {
+                content = formatTranslation(currentTranslations.relayAskFor, { number: contact.value });
+            } else if (contact.valueE164) {
+                content = document.createElement('a');
+                content.href = `${contact.type === 'sms' ? 'sms' : 'tel'}:${contact.valueE164}`;
+                content.className = 'phone-link';
+                content.textContent = contact.value;
+            } else {
+                content = contact.value;
+            }
+            
+            const line = createLabelledLine(currentTranslations[CONTACT_TYPE_KEYS[contact.type]], content);
+            line.className = 'contact-line';
+            
+            const icon = document.createElement('span');
+            icon.className = 'contact-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = CONTACT_ICONS[contact.type];
+            line.insertBefore(document.createTextNode(' '), line.firstChild);
+            line.insertBefore(icon, line.firstChild);
+            
+            if (contact.type !== 'webchat') {
+                appendCopyButton(line, contact.value, currentTranslations.copyPhone, currentTranslations);
+            }
+            fragment.appendChild(line);
+        });
+        
+        return fragment;
+    }
+
+    /**
+     * Returns the label that identifies a site of a multi-location partner
+     * 
+     * @param {Object} location - Partner location entry
+     * @returns {string} Site name, or its address if the site has no name
+     */
+    function getLocationLabel(location) {
+        return location.name || location.address || '';
+    }
+
+    /**
+     * Appends the address, phone and hours of a single site to a container
+     * 
+     * The site phone is only shown when it differs from the partner's main
+     * phone number, which is always shown separately. Site hours are only
+     * set when they differ from the partner's hours.
+     * 
+     * @param {HTMLElement} container - Element to append the detail lines to
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} location - Partner location entry
+     * @param {Object} currentTranslations - Translation set for the selected language
+     */
+    function appendLocationLines(container, partner, location, currentTranslations) {
+        if (location.address) {
+            container.appendChild(createAddressLine(location.address, currentTranslations));
+        }
+        if (location.phone && location.phone !== partner.phone) {
+            container.appendChild(createPhoneLine(location, currentTranslations));
+        }
+        if (location.hours) {
+            container.appendChild(createHoursDetails(location.hours, currentTranslations));
+        }
+    }
+
+    /**
+     * Creates the location section of a list card
+     * 
+     * A single site is shown inline. Partners with several sites get an
+     * expandable "N locations" list naming each site.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {DocumentFragment|HTMLDetailsElement} Location details for the card
+     */
+    function createLocationDetails(partner, currentTranslations) {
+        if (partner.locations.length <= 1) {
+            const fragment = document.createDocumentFragment();
+            if (partner.locations.length === 1) {
+                appendLocationLines(fragment, partner, partner.locations[0], currentTranslations);
+            }
+            return fragment;
+        }
+        
+        const details = document.createElement('details');
+        details.className = 'location-list';
+        
+        const summary = document.createElement('summary');
+        summary.textContent = formatTranslation(currentTranslations.locationsCount, { count: partner.locations.length });
+        details.appendChild(summary);
+        
+        const siteList = document.createElement('ul');
+        partner.locations.forEach(location => {
+            const siteItem = document.createElement('li');
+            if (location.name) {
+                const siteName = document.createElement('h4');
+                siteName.textContent = location.name;
+                siteItem.appendChild(siteName);
+            }
+            appendLocationLines(siteItem, partner, location, currentTranslations);
+            siteList.appendChild(siteItem);
+        });
+        details.appendChild(siteList);
+        
+        return details;
+    }
+
+    /**
+     * Creates the "Details checked <month year>" line of a list card
+     * 
+     * @param {string} lastVerified - Date the details were last checked ("YYYY-MM-DD")
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement} Line with the localised month and year
+     */
+    function createVerifiedLine(lastVerified, currentTranslations) {
+        const locale = LANGUAGE_LOCALES[selectedLanguage] || LANGUAGE_LOCALES['English'];
+        const [year, month] = lastVerified.split('-').map(Number);
+        const monthYear = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+            .format(new Date(Date.UTC(year, month - 1, 1)));
+        
+        const verifiedLine = document.createElement('p');
+        verifiedLine.className = 'details-checked';
+        verifiedLine.textContent = formatTranslation(currentTranslations.detailsChecked, { date: monthYear });
+        return verifiedLine;
+    }
+
+    /**
+     * Creates the service directory card for a partner
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {string} description - Description in the selected language
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLLIElement} List item for #organisation-list
+     */
+    function createPartnerListItem(partner, description, currentTranslations) {
+        const listItem = document.createElement('li');
+        listItem.className = 'organisation-item';
+        listItem.id = `partner-${partner.slug}`;
+        listItem.dataset.partnerId = partner.id;
+        if (partner.slug === linkedPartnerSlug) {
+            listItem.classList.add('linked-partner');
+            listItem.tabIndex = -1;
+        }
+        
+        // Create item details container
+        const itemDetails = document.createElement('div');
+        itemDetails.className = 'item-details';
+        
+        // Create and add title, one level below the category headings when the list is grouped
+        const title = document.createElement(groupByCategory ? 'h4' : 'h3');
+        title.appendChild(createHighlightedText(partner.name));
+        itemDetails.appendChild(title);
+        
+        // Distance from the place the list is sorted from (nearest site of the partner)
+        const distance = getPartnerDistance(partner);
+        if (distance !== null) {
+            const distanceLine = document.createElement('p');
+            distanceLine.className = 'item-distance';
+            distanceLine.textContent = `📍 ${formatDistance(distance, currentTranslations)}`;
+            itemDetails.appendChild(distanceLine);
+        }
+        
+        // Create and add description
+        const descriptionP = document.createElement('p');
+        descriptionP.className = 'item-description';
+        descriptionP.appendChild(createHighlightedText(description));
+        itemDetails.appendChild(descriptionP);
+        
+        // Show every category the service belongs to
+        itemDetails.appendChild(createCategoryChips(partner));
+        
+        itemDetails.appendChild(createServiceScopeLine(partner, currentTranslations));
+        
+        const eligibilityBadges = createEligibilityBadges(partner, currentTranslations);
+        if (eligibilityBadges) {
+            itemDetails.appendChild(eligibilityBadges);
+        }
+        
+        if (isAffectedByPublicHoliday(partner, getServiceTime())) {
+            const holidayNotice = document.createElement('p');
+            holidayNotice.className = 'holiday-notice';
+            holidayNotice.textContent = currentTranslations.publicHolidayNotice;
+            itemDetails.appendChild(holidayNotice);
+        }
+        
+        if (partner.hours) {
+            itemDetails.appendChild(createHoursDetails(partner.hours, currentTranslations));
+        }
+        
+        // Address of the single site, or the expandable list of sites
+        itemDetails.appendChild(createLocationDetails(partner, currentTranslations));
+        
+        itemDetails.appendChild(createPhoneLine(partner, currentTranslations));
+        itemDetails.appendChild(createContactLines(partner, currentTranslations));
+        
+        const emailLine = createEmailLine(partner, currentTranslations);
+        if (emailLine) {
+            itemDetails.appendChild(emailLine);
+        }
+        
+        const websiteLine = createWebsiteLine(partner, currentTranslations);
+        if (websiteLine) {
+            itemDetails.appendChild(websiteLine);
+        }
+        
+        if (partner.lastVerified) {
+            itemDetails.appendChild(createVerifiedLine(partner.lastVerified, currentTranslations));
+        }
+        
+        // Link that opens this card and its map popup, for emails and printed flyers
+        const linkLine = document.createElement('p');
+        linkLine.className = 'partner-link';
+        linkLine.appendChild(createCopyButton(
+            getPartnerLink(partner),
+            formatTranslation(currentTranslations.copyLinkTo, { name: partner.name }),
+            currentTranslations,
+            currentTranslations.copyLink
+        ));
+        itemDetails.appendChild(linkLine);
+        
+        // Create QR code container; the code opens this card, like the Copy link button
+        const qrContainer = document.createElement('div');
+        qrContainer.className = 'item-qr-code';
+        qrContainer.dataset.partnerId = partner.id;
+        qrContainer.appendChild(generateQrCode(getPartnerLink(partner)));
+        
+        // Assemble the list item
+        listItem.appendChild(itemDetails);
+        listItem.appendChild(qrContainer);
+        return listItem;
+    }
+
+    /**
+     * Formats minutes after midnight as a localised time of day
+     * 
+     * @param {number} minutes - Minutes after midnight (0-1440)
+     * @param {string} locale - BCP 47 locale, e.g. 'en-AU'
+     * @returns {string} Time such as "9:00 am"
+     */
+    function formatTimeOfDay(minutes, locale) {
+        return new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+            .format(new Date(Date.UTC(2024, 0, 1, Math.floor(minutes / 60), minutes % 60)));
+    }
+
+    /**
+     * Formats a list of opening periods for display
+     * 
+     * @param {Array<string>} periods - Periods such as "09:00-17:00"
+     * @param {string} locale - BCP 47 locale
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {string} Localised periods, or "Closed" if there are none
+     */
+    function formatPeriods(periods, locale, currentTranslations) {
+        const ranges = periods.map(parseTimeRange).filter(Boolean);
+        if (ranges.length === 0) {
+            return currentTranslations.dayClosed;
+        }
+        return ranges.map(range => `${formatTimeOfDay(range.opens, locale)} – ${formatTimeOfDay(range.closes, locale)}`).join(', ');
+    }
+
+    /**
+     * Creates an "Open now" / "Closed now" badge for opening hours
+     * 
+     * @param {Object} hours - Opening hours object
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLSpanElement} Status badge evaluated in Sydney time
+     */
+    function createOpenStatus(hours, currentTranslations) {
+        const open = isOpenAt(hours, getServiceTime());
+        const status = document.createElement('span');
+        status.className = open ? 'open-status open' : 'open-status closed';
+        status.textContent = open ? currentTranslations.openNow : currentTranslations.closedNow;
+        return status;
+    }
+
+    /**
+     * Creates a localised weekly opening hours table
+     * 
+     * Today's row (in Sydney) is highlighted. Exception dates and public
+     * holidays with an override in the next 30 days are listed below the table.
+     * 
+     * @param {Object} hours - Opening hours object
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLDivElement} Hours table, or a 24/7 note for services that never close
+     */
+    function createHoursTable(hours, currentTranslations) {
+        const locale = LANGUAGE_LOCALES[selectedLanguage] || LANGUAGE_LOCALES['English'];
+        const serviceTime = getServiceTime();
+        
+        const container = document.createElement('div');
+        container.className = 'opening-hours';
+        
+        if (hours.alwaysOpen) {
+            const alwaysOpen = document.createElement('p');
+            alwaysOpen.className = 'hours-always-open';
+            alwaysOpen.textContent = currentTranslations.open247;
+            container.appendChild(alwaysOpen);
+            return container;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'hours-table';
+        const tableBody = document.createElement('tbody');
+        const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+        
+        WEEKDAY_KEYS.forEach((day, dayIndex) => {
+            const row = document.createElement('tr');
+            if (day === serviceTime.weekday) {
+                row.className = 'today';
+            }
+            
+            // 1 January 2024 was a Monday
+            const dayName = document.createElement('th');
+            dayName.scope = 'row';
+            dayName.textContent = dayFormat.format(new Date(Date.UTC(2024, 0, 1 + dayIndex)));
+            
+            const dayHours = document.createElement('td');
+            dayHours.textContent = formatPeriods((hours.weekly && hours.weekly[day]) || [], locale, currentTranslations);
+            
+            row.appendChild(dayName);
+            row.appendChild(dayHours);
+            tableBody.appendChild(row);
+        });
+        table.appendChild(tableBody);
+        container.appendChild(table);
+        
+        // Upcoming exception dates and overridden public holidays (ISO dates compare correctly as strings)
+        const [year, month, day] = serviceTime.date.split('-').map(Number);
+        const horizon = new Date(Date.UTC(year, month - 1, day + 30)).toISOString().slice(0, 10);
+        const isUpcoming = date => date >= serviceTime.date && date <= horizon;
+        const upcoming = (hours.exceptions || []).filter(exception => isUpcoming(exception.date));
+        if (hours.publicHolidays && hours.publicHolidays !== 'normal') {
+            publicHolidays.forEach((name, date) => {
+                if (isUpcoming(date) && !upcoming.some(exception => exception.date === date)) {
+                    upcoming.push(hours.publicHolidays === 'closed'
+                        ? { date, closed: true, note: name }
+                        : { date, periods: hours.publicHolidays, note: name });
+                }
+            });
+        }
+        upcoming.sort((a, b) => a.date.localeCompare(b.date));
+        
+        if (upcoming.length > 0) {
+            const dateFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+            const exceptionList = document.createElement('ul');
+            exceptionList.className = 'hours-exceptions';
+            upcoming.forEach(exception => {
+                const [exYear, exMonth, exDay] = exception.date.split('-').map(Number);
+                const exceptionItem = document.createElement('li');
+                const periods = exception.closed ? [] : exception.periods;
+                exceptionItem.textContent = `${dateFormat.format(new Date(Date.UTC(exYear, exMonth - 1, exDay)))}: ${formatPeriods(periods, locale, currentTranslations)}`;
+                if (exception.note) {
+                    exceptionItem.textContent += ` (${exception.note})`;
+                }
+                exceptionList.appendChild(exceptionItem);
+            });
+            container.appendChild(exceptionList);
+        }
+        
+        return container;
+    }
+
+    /**
+     * Creates the collapsible opening hours section of a list card
+     * 
+     * @param {Object} hours - Opening hours object
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLDetailsElement} Summary with the open status, expanding to the hours table
+     */
+    function createHoursDetails(hours, currentTranslations) {
+        const details = document.createElement('details');
+        details.className = 'hours-details';
+        
+        const summary = document.createElement('summary');
+        const label = document.createElement('strong');
+        label.textContent = currentTranslations.labelHours;
+        summary.appendChild(label);
+        summary.appendChild(document.createTextNode(' '));
+        summary.appendChild(createOpenStatus(hours, currentTranslations));
+        details.appendChild(summary);
+        
+        details.appendChild(createHoursTable(hours, currentTranslations));
+        return details;
+    }
+
+    /**
+     * Describes where and how a partner delivers its service
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLParagraphElement} Line such as "Australia-wide · Phone · Online"
+     * 
+     * @example
+     * createServiceScopeLine(lifeline, translations.English).textContent; // 'Australia-wide · Phone · Online'
+     */
+    function createServiceScopeLine(partner, currentTranslations) {
+        const labels = [SERVICE_AREA_KEYS[partner.serviceArea], ...partner.delivery.map(mode => DELIVERY_MODE_KEYS[mode])]
+            .filter(Boolean)
+            .map(key => currentTranslations[key] || translations['English'][key]);
+        
+        const scopeLine = document.createElement('p');
+        scopeLine.className = 'service-scope';
+        scopeLine.textContent = labels.join(' · ');
+        return scopeLine;
+    }
+
+    /**
+     * Creates translated badges for a partner's age range, cost, referral and target groups
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLUListElement|null} Badge list, or null if the partner has no eligibility details
+     */
+    function createEligibilityBadges(partner, currentTranslations) {
+        const label = key => currentTranslations[key] || translations['English'][key];
+        const badges = [];
+        
+        if (partner.ageRange) {
+            const { min, max } = partner.ageRange;
+            const template = min === undefined ? 'ageUpTo' : (max === undefined ? 'ageFrom' : 'ageRange');
+            badges.push({ className: 'age', text: formatTranslation(label(template), { min, max }) });
+        }
+        if (partner.cost in COST_KEYS) {
+            badges.push({ className: `cost-${partner.cost}`, text: label(COST_KEYS[partner.cost]) });
+        }
+        if (typeof partner.referralRequired === 'boolean') {
+            badges.push({
+                className: partner.referralRequired ? 'referral-required' : 'no-referral',
+                text: label(partner.referralRequired ? 'referralRequired' : 'referralNotRequired')
+            });
+        }
+        (partner.targetGroups || []).forEach(group => {
+            if (TARGET_GROUP_KEYS[group]) {
+                badges.push({ className: 'target-group', text: label(TARGET_GROUP_KEYS[group]) });
+            }
+        });
+        
+        if (badges.length === 0) {
+            return null;
+        }
+        
+        const badgeList = document.createElement('ul');
+        badgeList.className = 'eligibility-badges';
+        badges.forEach(badge => {
+            const badgeItem = document.createElement('li');
+            badgeItem.className = `eligibility-badge ${badge.className}`;
+            badgeItem.textContent = badge.text;
+            badgeList.appendChild(badgeItem);
+        });
+        return badgeList;
+    }
+
+    /**
+     * Checks a partner against the eligibility facets in the filter panel
+     * 
+     * Cost, referral and target group facets only match partners that have
+     * published that detail, and the list says so while one is active. A
+     * partner without an age range is treated as open to all ages.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {boolean} True if the partner matches every active facet
+     */
+    function matchesEligibility(partner) {
+        const { costs, noReferral, targetGroup, age } = eligibilityFilter;
+        
+        if (costs.length > 0 && !costs.includes(partner.cost)) {
+            return false;
+        }
+        if (noReferral && partner.referralRequired !== false) {
+            return false;
+        }
+        if (targetGroup && !(partner.targetGroups || []).includes(targetGroup)) {
+            return false;
+        }
+        if (age !== null && partner.ageRange) {
+            const { min = 0, max = Infinity } = partner.ageRange;
+            if (age < min || age > max) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Folds text for searching: lowercase, without accents
+     * 
+     * Removes Latin and Greek accents (so "cafe" finds "café" and "υγεια"
+     * finds "υγεία") and treats the Greek final sigma as σ. Also returns the
+     * original position of every folded character, so matches found in the
+     * folded text can be highlighted in the original.
+     * 
+     * @param {string} text - Text to fold
+     * @returns {Object} { folded, starts, ends } - starts[i] and ends[i] are the original offsets of folded character i
+     * 
+     * @example
+     * foldForSearch('Café').folded; // 'cafe'
+     */
+    function foldForSearch(text) {
+        let folded = '';
+        const starts = [];
+        const ends = [];
+        let offset = 0;
+        
+        for (const char of String(text)) {
+            const foldedChar = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/ς/g, 'σ');
+            for (let i = 0; i < foldedChar.length; i++) {
+                starts.push(offset);
+                ends.push(offset + char.length);
+            }
+            folded += foldedChar;
+            offset += char.length;
+        }
+        
+        return { folded, starts, ends };
+    }
+
+    /**
+     * Counts the typing mistakes between two words, up to a limit
+     * 
+     * A missing, extra or wrong character counts as one mistake, and so does
+     * swapping two neighbouring characters ("fodo" for "food").
+     * 
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Edit distance, or limit + 1 if it is larger than the limit
+     */
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) {
+            return limit + 1;
+        }
+        
+        let beforePrevious = [];
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+            }
+            if (Math.min(...current) > limit) {
+                return limit + 1;
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Checks whether a word is a likely misspelling of a search term
+     * 
+     * Terms of four or more characters allow one typo, and terms of eight or
+     * more allow two. The term may also be the misspelt start of a longer
+     * word ("acommod" finds "accommodation").
+     * 
+     * @param {string} term - Folded search term
+     * @param {string} word - Folded word from the directory
+     * @returns {boolean} True if the word is close enough to the term
+     */
+    function isNearMatch(term, word) {
+        const typos = term.length >= 8 ? 2 : (term.length >= 4 ? 1 : 0);
+        if (typos === 0) {
+            return false;
+        }
+        return editDistance(term, word, typos) <= typos
+            || (word.length > term.length && editDistance(term, word.slice(0, term.length), typos) <= typos);
+    }
+
+    /**
+     * Returns every text a partner can be found by
+     * 
+     * The name, the description in every language, and the label of each of
+     * its categories in every interface language.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {Array<string>} Searchable texts
+     */
+    function getSearchableTexts(partner) {
+        const texts = [partner.name, ...Object.values(partner.description || {})];
+        partner.categories.forEach(categoryId => {
+            const category = getCategoryById(categoryId);
+            texts.push(categoryId);
+            if (category) {
+                Object.values(translations).forEach(translationSet => {
+                    if (translationSet[category.translationKey]) {
+                        texts.push(translationSet[category.translationKey]);
+                    }
+                });
+            }
+        });
+        return texts;
+    }
+
+    /**
+     * Builds the folded search text and word list of every partner
+     * 
+     * @param {Array<Object>} partners - Sanitized partner records
+     * @returns {Map<string, Object>} { text, words } keyed by partner id
+     */
+    function buildSearchIndex(partners) {
+        const index = new Map();
+        partners.forEach(partner => {
+            const text = getSearchableTexts(partner).map(value => foldForSearch(value).folded).join('\n');
+            index.set(partner.id, { text, words: [...new Set(text.match(SEARCH_WORD_PATTERN) || [])] });
+        });
+        return index;
+    }
+
+    /**
+     * Indexes the synonym dictionaries by folded term
+     * 
+     * Each dictionary is checked with validateSynonyms first; problems are
+     * logged, and entries pointing at unknown ids simply never match.
+     * 
+     * @param {Array<Object>} dictionaries - Dictionaries from loadSynonyms
+     * @returns {Map<string, Array<Object>>} { categories, partners } targets keyed by folded term
+     */
+    function buildSynonymLookup(dictionaries) {
+        const lookup = new Map();
+        
+        dictionaries.forEach(dictionary => {
+            const validation = validateSynonyms(dictionary, sanitizedPartners, categoryRegistry);
+            if (!validation.isValid) {
+                console.error(`❌ ${dictionary.language} search synonyms have errors:`, validation.errors);
+            }
+            if (validation.warnings.length > 0) {
+                console.warn(`⚠️ ${dictionary.language} search synonyms:`, validation.warnings);
+            }
+            
+            (dictionary.entries || []).forEach(entry => {
+                const target = { categories: entry.categories || [], partners: entry.partners || [] };
+                (entry.terms || []).forEach(term => {
+                    const key = foldForSearch(String(term).trim()).folded.replace(/\s+/g, ' ');
+                    if (!lookup.has(key)) {
+                        lookup.set(key, []);
+                    }
+                    lookup.get(key).push(target);
+                });
+            });
+        });
+        
+        console.log(`📚 ${lookup.size} search synonyms loaded`);
+        return lookup;
+    }
+
+    /**
+     * Finds the synonym targets of a single search word
+     * 
+     * Chinese terms are also found inside a longer run of characters, because
+     * Chinese is written without spaces ("我需要食物银行" contains "食物银行").
+     * 
+     * @param {string} word - Folded search word
+     * @param {boolean} allowTypos - Also accept a near match (see isNearMatch)
+     * @returns {Array<Object>} { categories, partners } targets
+     */
+    function findSynonymTargets(word, allowTypos) {
+        const targets = [];
+        const isChinese = /\p{Script=Han}/u.test(word);
+        
+        synonymLookup.forEach((termTargets, term) => {
+            if (term.includes(' ')) {
+                return;
+            }
+            if (term === word
+                || (isChinese && word.includes(term))
+                || (allowTypos && isNearMatch(word, term))) {
+                targets.push(...termTargets);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Splits a search box query into terms
+     * 
+     * Synonym phrases of several words ("food bank", "rent help") are kept
+     * together as one term. A term that appears somewhere in the directory
+     * must match exactly. Only a term found nowhere, and not a synonym, is
+     * treated as a possible typo and matched loosely, so "food" does not also
+     * find "good".
+     * 
+     * @param {string} query - Text typed in the search box
+     * @returns {Array<Object>} Terms as { text, fuzzy, synonyms }, where synonyms are { categories, partners } targets
+     * 
+     * @example
+     * parseSearchQuery('Food bank Hurstville');
+     * // [{ text: 'food bank', fuzzy: false, synonyms: [{ categories: ['Food & Emergency Support'], partners: [] }] },
+     * //  { text: 'hurstville', fuzzy: false, synonyms: [] }]
+     */
+    function parseSearchQuery(query) {
+        let rest = ` ${foldForSearch(query.trim()).folded.replace(/\s+/g, ' ')} `;
+        const terms = [];
+        
+        // Longest phrases first, so "crisis accommodation" wins over a shorter phrase inside it
+        [...synonymLookup.keys()]
+            .filter(term => term.includes(' '))
+            .sort((a, b) => b.length - a.length)
+            .forEach(phrase => {
+                if (rest.includes(` ${phrase} `)) {
+                    terms.push({ text: phrase, fuzzy: false, synonyms: synonymLookup.get(phrase) });
+                    rest = rest.replace(` ${phrase} `, ' ');
+                }
+            });
+        
+        rest.split(' ').filter(Boolean).forEach(text => {
+            const inDirectory = [...searchIndex.values()].some(entry => entry.text.includes(text));
+            const synonyms = findSynonymTargets(text, false);
+            const fuzzy = !inDirectory && synonyms.length === 0;
+            terms.push({ text, fuzzy, synonyms: fuzzy ? findSynonymTargets(text, true) : synonyms });
+        });
+        
+        return terms;
+    }
+
+    /**
+     * Checks a partner against search terms
+     * 
+     * Every term must match the partner's name, a description or a category,
+     * or be a synonym of one of its categories or of the partner itself.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Array<Object>} [terms=searchTerms] - Terms from parseSearchQuery
+     * @returns {boolean} True if the partner matches every term, or there are no terms
+     */
+    function matchesSearch(partner, terms = searchTerms) {
+        if (terms.length === 0) {
+            return true;
+        }
+        const entry = searchIndex.get(partner.id);
+        return Boolean(entry) && terms.every(term => entry.text.includes(term.text)
+            || (term.fuzzy && entry.words.some(word => isNearMatch(term.text, word)))
+            || term.synonyms.some(target => target.partners.includes(partner.id)
+                || target.categories.some(categoryId => partner.categories.includes(categoryId))));
+    }
+
+    /**
+     * Suggests a corrected query for a search that found nothing
+     * 
+     * Replaces each word that is not in the directory or the synonym
+     * dictionaries with one of the closest words that are, leaving out short
+     * function words such as "for" and "the". The suggestion is
+     * only offered when it finds services with the other filters as they are.
+     * 
+     * @param {string} query - Text typed in the search box
+     * @returns {string|null} Corrected query, or null if there is no useful suggestion
+     * 
+     * @example
+     * suggestSearchQuery('fod bnk'); // 'food bank'
+     */
+    function suggestSearchQuery(query) {
+        const folded = foldForSearch(query.trim()).folded.replace(/\s+/g, ' ');
+        if (!folded) {
+            return null;
+        }
+        
+        const vocabulary = new Set();
+        searchIndex.forEach(entry => entry.words.forEach(word => vocabulary.add(word)));
+        synonymLookup.forEach((targets, term) => term.split(' ').forEach(word => vocabulary.add(word)));
+        
+        // Up to three closest replacements for each unknown word, nearest first
+        const options = folded.split(' ').map(word => {
+            if (vocabulary.has(word)) {
+                return [word];
+            }
+            const limit = word.length >= 8 ? 3 : (word.length >= 4 ? 2 : 1);
+            const candidates = [];
+            vocabulary.forEach(candidate => {
+                const distance = editDistance(word, candidate, limit);
+                if (distance <= limit && !SEARCH_STOP_WORDS.has(candidate)) {
+                    candidates.push({ candidate, distance });
+                }
+            });
+            candidates.sort((a, b) => a.distance - b.distance);
+            return candidates.length > 0 ? candidates.slice(0, 3).map(item => item.candidate) : [word];
+        });
+        
+        // Try the first 20 combinations in order and keep the first that finds services.
+        // They are built one at a time: the full set grows threefold with every unknown word.
+        const indexes = options.map(() => 0);
+        for (let tried = 0; tried < 20; tried++) {
+            const suggestion = options.map((words, position) => words[indexes[position]]).join(' ');
+            if (suggestion !== folded && filterPartners(parseSearchQuery(suggestion)).length > 0) {
+                return suggestion;
+            }
+            
+            // Next combination: advance the last word, carrying into the earlier ones like an odometer
+            let position = options.length - 1;
+            while (position >= 0 && indexes[position] === options[position].length - 1) {
+                indexes[position] = 0;
+                position--;
+            }
+            if (position < 0) {
+                return null;
+            }
+            indexes[position]++;
+        }
+        return null;
+    }
+
+    /**
+     * Creates text with the search matches wrapped in <mark>
+     * 
+     * @param {string} text - Text to show
+     * @returns {DocumentFragment} Text nodes and <mark> elements
+     * 
+     * @example
+     * // With "food" in the search box:
+     * createHighlightedText('Food and emergency support'); // <mark>Food</mark> and emergency support
+     */
+    function createHighlightedText(text) {
+        const fragment = document.createDocumentFragment();
+        const { folded, starts, ends } = foldForSearch(text);
+        const ranges = [];
+        
+        searchTerms.forEach(term => {
+            let index = folded.indexOf(term.text);
+            while (index !== -1) {
+                ranges.push([index, index + term.text.length]);
+                index = folded.indexOf(term.text, index + term.text.length);
+            }
+            if (term.fuzzy) {
+                for (const match of folded.matchAll(SEARCH_WORD_PATTERN)) {
+                    if (isNearMatch(term.text, match[0])) {
+                        ranges.push([match.index, match.index + match[0].length]);
+                    }
+                }
+            }
+        });
+        
+        // Merge overlapping matches, then map them back to the original text
+        ranges.sort((a, b) => a[0] - b[0]);
+        let position = 0;
+        let previousEnd = -1;
+        const merged = [];
+        ranges.forEach(([start, end]) => {
+            if (merged.length > 0 && start <= previousEnd) {
+                merged[merged.length - 1][1] = Math.max(previousEnd, end);
+            } else {
+                merged.push([start, end]);
+            }
+            previousEnd = merged[merged.length - 1][1];
+        });
+        
+        merged.forEach(([start, end]) => {
+            const from = starts[start];
+            const to = ends[end - 1];
+            if (from > position) {
+                fragment.appendChild(document.createTextNode(text.slice(position, from)));
+            }
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(from, to);
+            fragment.appendChild(mark);
+            position = to;
+        });
+        if (position < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(position)));
+        }
+        
+        return fragment;
+    }
+
+    /**
+     * Fills the target group drop-down in the selected language
+     * 
+     * Called at start-up and whenever the language changes. The current
+     * selection is kept.
+     */
+    function renderTargetGroupOptions() {
+        const select = document.getElementById('target-group-filter');
+        if (!select) {
+            return;
+        }
+        
+        const currentTranslations = translations[selectedLanguage] || translations['English'];
+        while (select.firstChild) {
+            select.removeChild(select.firstChild);
+        }
+        
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = currentTranslations.targetGroupAll;
+        select.appendChild(allOption);
+        
+        Object.entries(TARGET_GROUP_KEYS).forEach(([group, key]) => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = currentTranslations[key] || translations['English'][key];
+            select.appendChild(option);
+        });
+        select.value = eligibilityFilter.targetGroup;
+    }
+
+    /**
+     * Fills the "Phone & online services" panel beside the map
+     * 
+     * Lists the filtered partners that have no map marker, such as national
+     * helplines, so patrons are not sent to a misleading location. The panel
+     * is hidden when there are none.
+     * 
+     * @param {Array<Object>} partners - Partners matching the current filters
+     * @param {Object} currentTranslations - Translation set for the selected language
+     */
+    function renderRemoteServices(partners, currentTranslations) {
+        const panel = document.getElementById('remote-services');
+        const remoteList = document.getElementById('remote-services-list');
+        if (!panel || !remoteList) {
+            return;
+        }
+        
+        while (remoteList.firstChild) {
+            remoteList.removeChild(remoteList.firstChild);
+        }
+        
+        const remotePartners = partners.filter(partner => !partner.locations.some(hasCoordinates));
+        panel.hidden = remotePartners.length === 0;
+        
+        remotePartners.forEach(partner => {
+            const remoteItem = document.createElement('li');
+            remoteItem.className = 'remote-service';
+            remoteItem.dataset.partnerId = partner.id;
+            
+            const name = document.createElement('h3');
+            name.textContent = partner.name;
+            remoteItem.appendChild(name);
+            remoteItem.appendChild(createServiceScopeLine(partner, currentTranslations));
+            remoteItem.appendChild(createPhoneLine(partner, currentTranslations));
+            remoteItem.appendChild(createContactLines(partner, currentTranslations));
+            
+            const websiteLink = document.createElement('a');
+            websiteLink.href = partner.website;
+            websiteLink.target = '_blank';
+            websiteLink.rel = 'noopener noreferrer';
+            websiteLink.textContent = currentTranslations.labelWebsite;
+            remoteItem.appendChild(websiteLink);
+            
+            remoteList.appendChild(remoteItem);
+        });
+    }
+
+    /**
+     * Creates the Leaflet popup content for one site of a partner
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {Object} location - The site the marker represents
+     * @param {string} description - Description in the selected language
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {HTMLDivElement} Popup content element
+     */
+    function createPopupContent(partner, location, description, currentTranslations) {
+        const popupContainer = document.createElement('div');
+        popupContainer.className = 'partner-popup';
+        popupContainer.dataset.partnerId = partner.id;
+        
+        // Create title
+        const popupTitle = document.createElement('h3');
+        popupTitle.textContent = partner.name;
+        popupContainer.appendChild(popupTitle);
+        
+        // Identify the specific site when the partner has more than one
+        if (partner.locations.length > 1) {
+            const popupSite = document.createElement('p');
+            popupSite.className = 'popup-site';
+            popupSite.textContent = getLocationLabel(location);
+            popupContainer.appendChild(popupSite);
+        }
+        
+        // Create description
+        const popupDesc = document.createElement('p');
+        popupDesc.className = 'popup-description';
+        popupDesc.textContent = description;
+        popupContainer.appendChild(popupDesc);
+        
+        // Create details container
+        const popupDetails = document.createElement('div');
+        popupDetails.className = 'popup-details';
+        
+        if (location.address) {
+            popupDetails.appendChild(createAddressLine(location.address, currentTranslations));
+        }
+        popupDetails.appendChild(createPhoneLine(location.phone ? location : partner, currentTranslations));
+        popupDetails.appendChild(createContactLines(partner, currentTranslations));
+        
+        // Site hours override the partner's hours
+        const siteHours = location.hours || partner.hours;
+        if (siteHours) {
+            const hoursLine = createLabelledLine(currentTranslations.labelHours, createOpenStatus(siteHours, currentTranslations));
+            popupDetails.appendChild(hoursLine);
+            popupDetails.appendChild(createHoursTable(siteHours, currentTranslations));
+        }
+        
+        const emailLine = createEmailLine(partner, currentTranslations);
+        if (emailLine) {
+            popupDetails.appendChild(emailLine);
+        }
+        
+        const websiteLine = createWebsiteLine(partner, currentTranslations);
+        if (websiteLine) {
+            popupDetails.appendChild(websiteLine);
+        }
+        
+        popupContainer.appendChild(popupDetails);
+        
+        // Add QR code linking back to this partner in the directory
+        const popupQr = document.createElement('div');
+        popupQr.className = 'popup-qr-code';
+        popupQr.dataset.partnerId = partner.id;
+        popupQr.appendChild(generateQrCode(getPartnerLink(partner)));
+        popupContainer.appendChild(popupQr);
+        
+        return popupContainer;
+    }
+
+    /**
+     * Adds one map marker per site of a partner
+     * 
+     * Sites without coordinates are skipped. Each marker's popup names the
+     * specific site it represents.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @param {string} description - Description in the selected language
+     * @param {Object} currentTranslations - Translation set for the selected language
+     */
+    function addPartnerMarkers(partner, description, currentTranslations) {
+        partner.locations.forEach(location => {
+            if (!hasCoordinates(location)) {
+                return;
+            }
+            
+            const marker = L.marker([location.lat, location.lng], {
+                title: partner.locations.length > 1 ? `${partner.name} – ${getLocationLabel(location)}` : partner.name
+            }).addTo(markerLayer);
+            marker.bindPopup(createPopupContent(partner, location, description, currentTranslations));
+            
+            const markers = partnerMarkers.get(partner.slug) || [];
+            const site = markers.length;
+            markers.push(marker);
+            partnerMarkers.set(partner.slug, markers);
+            
+            // The open popup is part of the URL, so a shared link opens it again
+            marker.on('popupopen', () => {
+                clearTimeout(popupCloseTimer);
+                openPopup = { slug: partner.slug, site };
+                updateUrl();
+            });
+            marker.on('popupclose', () => {
+                if (redrawingMarkers) {
+                    return;
+                }
+                openPopup = null;
+                // Opening another marker closes this popup first; only record a plain close
+                popupCloseTimer = setTimeout(() => updateUrl(), 0);
+            });
+        });
+    }
+
+    /**
+     * Opens the popup recorded in openPopup again after the markers are redrawn
+     * 
+     * Forgets the popup if its partner is no longer listed.
+     */
+    function reopenPartnerPopup() {
+        if (!openPopup) {
+            return;
+        }
+        const markers = partnerMarkers.get(openPopup.slug);
+        if (!markers) {
+            openPopup = null;
+            return;
+        }
+        const wasRestoring = restoringUrlState;
+        restoringUrlState = true;
+        (markers[openPopup.site] || markers[0]).openPopup();
+        restoringUrlState = wasRestoring;
+    }
+
+    /**
+     * Finds a suburb or postcode in the offline gazetteer
+     * 
+     * Accepts a suburb name ("hurstville", "Brighton Le Sands"), a postcode
+     * ("2220") or both ("Hurstville 2220", as listed in the suggestions). A
+     * postcode shared by several suburbs resolves to the middle of them. A
+     * name that is the start of exactly one suburb name also matches.
+     * 
+     * @param {string} query - Text typed in the location box
+     * @returns {Object|null} { lat, lng, label }, or null if nothing matched
+     * 
+     * @example
+     * resolvePlace('2220'); // { lat: -33.967, lng: 151.102, label: 'Hurstville 2220' }
+     */
+    function resolvePlace(query) {
+        const postcodeMatch = query.match(/\b\d{4}\b/);
+        const postcode = postcodeMatch ? postcodeMatch[0] : null;
+        const foldName = text => foldForSearch(text).folded.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        const name = foldName(query.replace(/\b\d{4}\b/, ''));
+        
+        let matches = suburbGazetteer.filter(suburb => (!postcode || suburb.postcode === postcode)
+            && (!name || foldName(suburb.name) === name));
+        if (matches.length === 0 && name) {
+            const startsWith = suburbGazetteer.filter(suburb => foldName(suburb.name).startsWith(name)
+                && (!postcode || suburb.postcode === postcode));
+            matches = startsWith.length === 1 ? startsWith : [];
+        }
+        if (matches.length === 0) {
+            return null;
+        }
+        
+        const average = key => matches.reduce((sum, suburb) => sum + suburb[key], 0) / matches.length;
+        return {
+            lat: average('lat'),
+            lng: average('lng'),
+            label: matches.length === 1 ? `${matches[0].name} ${matches[0].postcode}` : postcode
+        };
+    }
+
+    /**
+     * Sorts the list from a place and moves the map there
+     * 
+     * A suburb or postcode centres the map on it. The device position instead
+     * fits the map to it and the nearest few services that match the filters.
+     * 
+     * @param {Object|null} point - { lat, lng, label, fromDevice }, or null to return to the default order
+     * 
+     * @example
+     * setReferencePoint(resolvePlace('Kogarah')); // Nearest services to Kogarah first
+     */
+    function setReferencePoint(point) {
+        referencePoint = point;
+        locationMessageKey = null;
+        if (point) {
+            sortOrder = 'distance';
+        }
+        updateDisplay();
+        if (point && map) {
+            if (point.fromDevice) {
+                fitMapToNearest(point);
+            } else {
+                programmaticMove = true;
+                map.setView([point.lat, point.lng], 13);
+            }
+        }
+    }
+
+    /**
+     * Finds the site of a partner nearest to the reference point
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {Object|null} { location, distance } with the distance in km, or null without a reference point or mapped site
+     */
+    function getNearestLocation(partner) {
+        if (!referencePoint) {
+            return null;
+        }
+        return partner.locations.filter(hasCoordinates).reduce((nearest, location) => {
+            const distance = distanceKm(referencePoint, location);
+            return !nearest || distance < nearest.distance ? { location, distance } : nearest;
+        }, null);
+    }
+
+    /**
+     * Returns the distance from the reference point to a partner's nearest site
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {number|null} Great-circle distance in km, or null without a reference point or mapped site
+     */
+    function getPartnerDistance(partner) {
+        const nearest = getNearestLocation(partner);
+        return nearest ? nearest.distance : null;
+    }
+
+    /**
+     * Fits the map to a point and the nearest services that match the filters
+     * 
+     * @param {Object} point - { lat, lng } the services are measured from
+     * @modifies {L.Map} map - Zooms so the point and up to NEAREST_FIT_COUNT sites are in view
+     */
+    function fitMapToNearest(point) {
+        const nearestSites = sortByDistance(filterPartners(searchTerms))
+            .map(getNearestLocation)
+            .filter(Boolean)
+            .slice(0, NEAREST_FIT_COUNT)
+            .map(({ location }) => [location.lat, location.lng]);
+        
+        programmaticMove = true;
+        if (nearestSites.length === 0) {
+            map.setView([point.lat, point.lng], 14);
+            return;
+        }
+        map.fitBounds(L.latLngBounds([[point.lat, point.lng], ...nearestSites]), { padding: [40, 40], maxZoom: 16 });
+    }
+
+    /**
+     * Asks the browser for the device position and sorts the list from it
+     * 
+     * The position is used for this page view only. Permission problems and
+     * timeouts are reported under the location box in the selected language.
+     * 
+     * @modifies {HTMLElement} #location-status - Shows progress and errors
+     */
+    function useDeviceLocation() {
+        if (!navigator.geolocation) {
+            locationMessageKey = 'locationUnsupported';
+            updateDisplay();
+            return;
+        }
+        
+        locationMessageKey = 'locatingYou';
+        updateDisplay();
+        
+        navigator.geolocation.getCurrentPosition(position => {
+            const locationInput = document.getElementById('location-input');
+            if (locationInput) {
+                locationInput.value = '';
+            }
+            setReferencePoint({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                label: null,
+                fromDevice: true
+            });
+        }, error => {
+            console.warn('⚠️ Device location unavailable:', error.message);
+            locationMessageKey = error.code === error.PERMISSION_DENIED ? 'locationDenied' : 'locationUnavailable';
+            updateDisplay();
+        }, {
+            enableHighAccuracy: false,
+            timeout: 15000,
+            maximumAge: 60000
+        });
+    }
+
+    /**
+     * Returns the name of the place the list is sorted from
+     * 
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {string} Suburb and postcode, postcode, or "your location" in the selected language
+     */
+    function getReferenceLabel(currentTranslations) {
+        return referencePoint.fromDevice ? currentTranslations.yourLocation : referencePoint.label;
+    }
+
+    /**
+     * Orders partners nearest-first from the reference point
+     * 
+     * Partners without a mapped site (phone and online services) keep their
+     * order at the end of the list.
+     * 
+     * @param {Array<Object>} partners - Filtered partner records
+     * @returns {Array<Object>} New array sorted by distance
+     */
+    function sortByDistance(partners) {
+        const distances = new Map(partners.map(partner => [partner.id, getPartnerDistance(partner)]));
+        const sortKey = partner => (distances.get(partner.id) === null ? Infinity : distances.get(partner.id));
+        return [...partners].sort((a, b) => sortKey(a) - sortKey(b));
+    }
+
+    /**
+     * Orders the filtered partners for the directory list
+     * 
+     * - default: the order of data/partners.json
+     * - name: alphabetical, using the collation of the selected language
+     * - distance: nearest first (see sortByDistance)
+     * - verified: most recently checked first; never-checked services last
+     * 
+     * @param {Array<Object>} partners - Filtered partner records
+     * @returns {Array<Object>} Partners in the selected sortOrder
+     * 
+     * @example
+     * sortOrder = 'name';
+     * sortPartners(filterPartners(searchTerms)); // A–Z in the selected language
+     */
+    function sortPartners(partners) {
+        if (sortOrder === 'name') {
+            const locale = LANGUAGE_LOCALES[selectedLanguage] || LANGUAGE_LOCALES['English'];
+            const collator = new Intl.Collator(locale, { sensitivity: 'base' });
+            return [...partners].sort((a, b) => collator.compare(a.name, b.name));
+        }
+        if (sortOrder === 'distance' && referencePoint) {
+            return sortByDistance(partners);
+        }
+        if (sortOrder === 'verified') {
+            // ISO dates sort as text; a missing date counts as the oldest
+            return [...partners].sort((a, b) => (b.lastVerified || '').localeCompare(a.lastVerified || ''));
+        }
+        return partners;
+    }
+
+    /**
+     * Splits sorted partners into one group per category, in registry order
+     * 
+     * Each partner appears once, under the first of its categories that is
+     * selected (or its first category when all categories are shown), so a
+     * card and its link id are never repeated.
+     * 
+     * @param {Array<Object>} partners - Sorted partner records
+     * @returns {Array<Object>} [{ category, partners }] with empty groups left out
+     */
+    function groupPartnersByCategory(partners) {
+        const groups = new Map(categoryRegistry.map(category => [category.id, []]));
+        partners.forEach(partner => {
+            const groupId = categoryRegistry
+                .map(category => category.id)
+                .find(categoryId => partner.categories.includes(categoryId)
+                    && (selectedCategories.length === 0 || selectedCategories.includes(categoryId)));
+            if (groupId) {
+                groups.get(groupId).push(partner);
+            }
+        });
+        
+        return categoryRegistry
+            .filter(category => groups.get(category.id).length > 0)
+            .map(category => ({ category, partners: groups.get(category.id) }));
+    }
+
+    /**
+     * Creates a category section of the grouped directory list
+     * 
+     * @param {Object} category - Category registry entry
+     * @param {number} count - Number of services in the section
+     * @returns {HTMLLIElement} Section with a sticky heading and an empty .list-group-items list
+     */
+    function createCategoryGroup(category, count) {
+        const group = document.createElement('li');
+        group.className = 'list-group';
+        if (category.colour) {
+            group.style.setProperty('--category-colour', category.colour);
+        }
+        
+        const heading = document.createElement('h3');
+        heading.className = 'list-group-heading';
+        heading.textContent = `${category.icon ? `${category.icon} ` : ''}${getCategoryLabel(category)} (${count})`;
+        group.appendChild(heading);
+        
+        const items = document.createElement('ul');
+        items.className = 'list-group-items';
+        group.appendChild(items);
+        return group;
+    }
+
+    /**
+     * Shows the current sort order and grouping in the list controls
+     * 
+     * Sorting by distance needs a suburb, postcode or device location, so
+     * that option is disabled without one and a distance sort falls back to
+     * directory order when the place is cleared.
+     */
+    function syncSortControls() {
+        if (sortOrder === 'distance' && !referencePoint) {
+            sortOrder = 'default';
+        }
+        
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            const distanceOption = sortSelect.querySelector('option[value="distance"]');
+            if (distanceOption) {
+                distanceOption.disabled = !referencePoint;
+            }
+            sortSelect.value = sortOrder;
+        }
+        
+        const groupToggle = document.getElementById('group-toggle');
+        if (groupToggle) {
+            groupToggle.checked = groupByCategory;
+        }
+    }
+
+    /**
+     * Formats a distance such as "2.3 km" in the selected language
+     * 
+     * @param {number} distance - Distance in km
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @returns {string} Localised distance, with one decimal place under 10 km
+     */
+    function formatDistance(distance, currentTranslations) {
+        const locale = LANGUAGE_LOCALES[selectedLanguage] || LANGUAGE_LOCALES['English'];
+        const digits = distance < 10 ? 1 : 0;
+        const number = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(distance);
+        return formatTranslation(currentTranslations.distanceKm, { distance: number });
+    }
+
+    /**
+     * Fills the suburb suggestions of the location box from the gazetteer
+     * 
+     * @modifies {HTMLDataListElement} #suburb-options - One option per suburb, e.g. "Hurstville 2220"
+     */
+    function renderSuburbOptions() {
+        const datalist = document.getElementById('suburb-options');
+        if (!datalist) {
+            return;
+        }
+        while (datalist.firstChild) {
+            datalist.removeChild(datalist.firstChild);
+        }
+        suburbGazetteer.forEach(suburb => {
+            const option = document.createElement('option');
+            option.value = `${suburb.name} ${suburb.postcode}`;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Shows which place the list is sorted from, or a location message
+     * 
+     * @param {Object} currentTranslations - Translation set for the selected language
+     * @modifies {HTMLElement} #location-status
+     */
+    function updateLocationStatus(currentTranslations) {
+        const status = document.getElementById('location-status');
+        if (!status) {
+            return;
+        }
+        if (locationMessageKey) {
+            status.textContent = currentTranslations[locationMessageKey];
+        } else if (referencePoint) {
+            status.textContent = formatTranslation(currentTranslations.sortedByDistance, { place: getReferenceLabel(currentTranslations) });
+        } else {
+            status.textContent = '';
+        }
+        status.classList.toggle('error', Boolean(locationMessageKey) && locationMessageKey !== 'locatingYou');
+    }
+
+    /**
+     * Fills placeholders such as {count} in a translated string
+     * 
+     * @param {string} template - Translated string containing {name} placeholders
+     * @param {Object} values - Placeholder values keyed by name
+     * @returns {string} String with placeholders replaced
+     * 
+     * @example
+     * formatTranslation('{count} locations', { count: 3 }); // '3 locations'
+     */
+    function formatTranslation(template, values) {
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    /**
+     * Returns the id of the default category
+     * 
+     * @returns {string|null} Id of the first category in display order, or null if the registry is empty
+     */
+    function getDefaultCategoryId() {
+        return categoryRegistry.length > 0 ? categoryRegistry[0].id : null;
+    }
+
+    /**
+     * Returns the categories selected when the page opens
+     * 
+     * @returns {Array<string>} The default category id, or an empty list before the registry loads
+     */
+    function getDefaultCategories() {
+        return [getDefaultCategoryId()].filter(Boolean);
+    }
+
+    /**
+     * Reads the filters, map view and open popup from the page URL
+     * 
+     * Supported query parameters:
+     * - lang: interface language, e.g. "Mandarin"
+     * - cat: comma-separated category ids, or "all"
+     * - q: search text
+     * - map: "lat,lng,zoom"
+     * - partner and site: slug of the partner whose popup is open, and which of its sites
+     * 
+     * @returns {Object} { language, categories, query, mapView, popup }; missing parameters are null
+     * 
+     * @example
+     * // ?lang=Mandarin&cat=Disability&q=ndis
+     * readUrlState(); // { language: 'Mandarin', categories: ['Disability'], query: 'ndis', mapView: null, popup: null }
+     */
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const language = params.get('lang');
+        const category = params.get('cat');
+        const view = (params.get('map') || '').split(',').map(Number);
+        const slug = params.get('partner');
+        
+        return {
+            language: language && Object.prototype.hasOwnProperty.call(translations, language) ? language : null,
+            categories: category === null ? null : (category === 'all' ? [] : category.split(',').filter(Boolean)),
+            query: params.get('q') || '',
+            mapView: view.length === 3 && view.every(Number.isFinite) ? { lat: view[0], lng: view[1], zoom: view[2] } : null,
+            popup: slug ? { slug, site: Math.max(0, parseInt(params.get('site'), 10) || 0) } : null
+        };
+    }
+
+    /**
+     * Keeps the category ids from a URL that exist in the registry
+     * 
+     * @param {Array<string>|null} categoryIds - Ids from readUrlState, or null if the URL has none
+     * @returns {Array<string>} Selected categories; the default category if none of the ids are known
+     */
+    function resolveUrlCategories(categoryIds) {
+        if (!categoryIds) {
+            return getDefaultCategories();
+        }
+        const known = categoryIds.filter(id => categoryRegistry.some(category => category.id === id));
+        return known.length > 0 || categoryIds.length === 0 ? known : getDefaultCategories();
+    }
+
+    /**
+     * Applies a state read from the URL to the filters, map and popup
+     * 
+     * Used on page load, before the first display update, and when the back
+     * and forward buttons move through history. Categories wait for the
+     * registry if it has not loaded yet.
+     * 
+     * @param {Object} state - State from readUrlState
+     * @calls applyTranslations() - Redraws the page in the restored language
+     */
+    function applyUrlState(state) {
+        restoringUrlState = true;
+        
+        selectedLanguage = state.language || 'English';
+        syncLanguageButtons();
+        
+        if (categoryRegistry.length > 0) {
+            selectedCategories = resolveUrlCategories(state.categories);
+            syncCategoryButtons();
+        } else {
+            pendingUrlCategories = state.categories;
+        }
+        
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.value = state.query;
+        }
+        searchTerms = partnerDataLoaded ? parseSearchQuery(state.query) : [];
+        
+        if (map) {
+            const view = state.mapView || DEFAULT_MAP_VIEW;
+            map.setView([view.lat, view.lng], view.zoom, { animate: false });
+        }
+        openPopup = state.popup;
+        
+        applyTranslations(selectedLanguage);
+        restoringUrlState = false;
+    }
+
+    /**
+     * Writes the current filters, map view and open popup to the page URL
+     * 
+     * Values that match the defaults are left out, so the plain page URL
+     * means the default view. The map view is also left out while the list is
+     * sorted from the device position, so the position never reaches the
+     * browser history or a shared link.
+     * 
+     * @param {string} [mode='push'] - 'push' adds a history entry, 'replace' updates the current one
+     */
+    function updateUrl(mode = 'push') {
+        if (restoringUrlState) {
+            return;
+        }
+        
+        const params = new URLSearchParams();
+        if (selectedLanguage !== 'English') {
+            params.set('lang', selectedLanguage);
+        }
+        
+        const categories = pendingUrlCategories || selectedCategories;
+        const isDefault = !pendingUrlCategories && (categoryRegistry.length === 0
+            || categories.join(',') === getDefaultCategories().join(','));
+        if (!isDefault) {
+            params.set('cat', categories.length > 0 ? categories.join(',') : 'all');
+        }
+        
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && searchInput.value.trim()) {
+            params.set('q', searchInput.value.trim());
+        }
+        
+        // Once "Use my location" has centred the map, the view would reveal where the patron is
+        if (map && !(referencePoint && referencePoint.fromDevice)) {
+            const center = map.getCenter();
+            const view = `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${map.getZoom()}`;
+            const defaultView = `${DEFAULT_MAP_VIEW.lat.toFixed(4)},${DEFAULT_MAP_VIEW.lng.toFixed(4)},${DEFAULT_MAP_VIEW.zoom}`;
+            if (view !== defaultView) {
+                params.set('map', view);
+            }
+        }
+        
+        if (openPopup) {
+            params.set('partner', openPopup.slug);
+            if (openPopup.site > 0) {
+                params.set('site', String(openPopup.site));
+            }
+        }
+        
+        // Commas are allowed in a query string and keep shared links readable
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+        
+        if (mode === 'replace') {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Builds the link that opens one partner's card and map popup
+     * 
+     * The link keeps the interface language, so a patron opens it in the
+     * language it was shared in. The Copy link button and the QR codes on
+     * cards and popups both use it.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {string} Absolute URL such as "https://example.org/?lang=Mandarin#/partner/3bridges-community"
+     */
+    function getPartnerLink(partner) {
+        const query = selectedLanguage !== 'English' ? `?lang=${encodeURIComponent(selectedLanguage)}` : '';
+        return `${window.location.origin}${window.location.pathname}${query}#/partner/${partner.slug}`;
+    }
+
+    /**
+     * Reads the partner slug from a "#/partner/<slug>" link
+     * 
+     * @returns {string|null} Slug, or null if the page hash is not a partner link
+     */
+    function readPartnerHash() {
+        const match = window.location.hash.match(PARTNER_HASH_PATTERN);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Shows the partner named in a "#/partner/<slug>" link
+     * 
+     * Selects one of the partner's categories if none is selected, clears a
+     * search and then the other filters if they hide it, centres the map on its first site with the popup
+     * open, and scrolls to and focuses its highlighted card.
+     * 
+     * @param {string} slug - Partner slug from the link
+     * 
+     * @example
+     * openPartnerLink('3bridges-community');
+     */
+    function openPartnerLink(slug) {
+        const partner = sanitizedPartners.find(candidate => candidate.slug === slug);
+        if (!partner) {
+            console.warn('⚠️ No partner for link:', slug);
+            if (linkedPartnerSlug) {
+                linkedPartnerSlug = null;
+                updateDisplay();
+            }
+            const currentTranslations = translations[selectedLanguage] || translations['English'];
+            showUserFriendlyError(currentTranslations.partnerLinkNotFound);
+            return;
+        }
+        
+        linkedPartnerSlug = slug;
+        // The linked card must be listed wherever the map was
+        areaBounds = null;
+        if (selectedCategories.length > 0 && !partner.categories.some(categoryId => selectedCategories.includes(categoryId))) {
+            selectedCategories = [partner.categories[0]];
+            syncCategoryButtons();
+        }
+        if (!filterPartners(searchTerms).includes(partner)) {
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) {
+                searchInput.value = '';
+            }
+            searchTerms = [];
+        }
+        // "Open now", "Services in my language" and the eligibility facets can hide it too
+        if (!filterPartners(searchTerms).includes(partner)) {
+            openNowOnly = false;
+            myLanguageOnly = false;
+            eligibilityFilter = { costs: [], noReferral: false, targetGroup: '', age: null };
+            syncFacetControls();
+        }
+        
+        const site = partner.locations.find(hasCoordinates);
+        if (site && map) {
+            programmaticMove = true;
+            map.setView([site.lat, site.lng], Math.max(map.getZoom(), 15), { animate: false });
+            openPopup = { slug, site: 0 };
+        }
+        updateDisplay();
+        updateUrl('replace');
+        
+        const card = document.getElementById(`partner-${slug}`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Shows the "Open now", "Services in my language" and eligibility filter values in their controls
+     */
+    function syncFacetControls() {
+        [['open-now-toggle', openNowOnly], ['my-language-toggle', myLanguageOnly]].forEach(([id, active]) => {
+            const toggle = document.getElementById(id);
+            if (toggle) {
+                toggle.classList.toggle('active', active);
+                toggle.setAttribute('aria-pressed', String(active));
+            }
+        });
+        
+        const eligibilityFilters = document.getElementById('eligibility-filters');
+        if (eligibilityFilters) {
+            eligibilityFilters.querySelectorAll('button').forEach(button => {
+                const active = button.dataset.facet === 'referral'
+                    ? eligibilityFilter.noReferral
+                    : eligibilityFilter.costs.includes(button.dataset.value);
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        }
+        
+        const targetGroupFilter = document.getElementById('target-group-filter');
+        if (targetGroupFilter) {
+            targetGroupFilter.value = eligibilityFilter.targetGroup;
+        }
+        const ageFilter = document.getElementById('age-filter');
+        if (ageFilter) {
+            ageFilter.value = eligibilityFilter.age === null ? '' : String(eligibilityFilter.age);
+        }
+    }
+
+    /**
+     * Marks the button of the selected interface language as active
+     */
+    function syncLanguageButtons() {
+        const languageFilters = document.getElementById('language-filters');
+        if (!languageFilters) {
+            return;
+        }
+        languageFilters.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-filter') === selectedLanguage);
+        });
+    }
+
+    /**
+     * Resolves the display label of a category in the selected language
+     * 
+     * Looks up the category's translation key in the selected language, then
+     * English, and finally falls back to the category id so a newly added
+     * category still shows a sensible label before it is translated.
+     * 
+     * @param {Object} category - Category registry entry
+     * @returns {string} Translated category label
+     */
+    function getCategoryLabel(category) {
+        const currentTranslations = translations[selectedLanguage] || translations['English'];
+        return currentTranslations[category.translationKey]
+            || translations['English'][category.translationKey]
+            || category.id;
+    }
+
+    /**
+     * Finds a category registry entry by id
+     * 
+     * @param {string} categoryId - Category id as used in partner records
+     * @returns {Object|undefined} Matching registry entry
+     */
+    function getCategoryById(categoryId) {
+        return categoryRegistry.find(category => category.id === categoryId);
+    }
+
+    /**
+     * Creates the category chip list for a partner card
+     * 
+     * Builds a list with one chip per category the partner belongs to, in
+     * registry display order, using each category's icon, colour and
+     * translated label.
+     * 
+     * @param {Object} partner - Sanitized partner record
+     * @returns {HTMLUListElement} Chip list element
+     */
+    function createCategoryChips(partner) {
+        const chipList = document.createElement('ul');
+        chipList.className = 'category-chips';
+        
+        categoryRegistry
+            .filter(category => partner.categories.includes(category.id))
+            .forEach(category => {
+                const chip = document.createElement('li');
+                chip.className = 'category-chip';
+                if (selectedCategories.includes(category.id)) {
+                    chip.classList.add('current');
+                }
+                if (category.colour) {
+                    chip.style.setProperty('--category-colour', category.colour);
+                }
+                if (category.icon) {
+                    chip.appendChild(document.createTextNode(`${category.icon} `));
+                }
+                chip.appendChild(createHighlightedText(getCategoryLabel(category)));
+                chipList.appendChild(chip);
+            });
+        
+        return chipList;
+    }
+
+    /**
+     * Generates the category filter buttons from the registry
+     * 
+     * Replaces the contents of #community-filters with an "All categories"
+     * button followed by one button per registry entry, in display order,
+     * showing the category icon, translated label and a result count badge.
+     * The category colour is exposed to CSS as --category-colour.
+     * 
+     * @modifies {HTMLElement} #community-filters - Replaces the button set
+     * 
+     * @example
+     * renderCategoryButtons(); // Builds a button for every registered category
+     */
+    function renderCategoryButtons() {
+        const communityFilters = document.getElementById('community-filters');
+        if (!communityFilters) {
+            console.warn('Category filter container not found');
+            return;
+        }
+        
+        while (communityFilters.firstChild) {
+            communityFilters.removeChild(communityFilters.firstChild);
+        }
+        
+        const allButton = document.createElement('button');
+        allButton.className = 'filter-button single-line all-categories';
+        allButton.dataset.allCategories = 'true';
+        const allLabel = document.createElement('span');
+        allLabel.className = 'lang-main';
+        allLabel.setAttribute('data-translate-key', 'catAll');
+        allLabel.textContent = (translations[selectedLanguage] || translations['English']).catAll;
+        allButton.appendChild(allLabel);
+        allButton.appendChild(createCountBadge());
+        communityFilters.appendChild(allButton);
+        
+        categoryRegistry.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'filter-button single-line';
+            button.setAttribute('data-filter', category.id);
+            if (category.colour) {
+                button.style.setProperty('--category-colour', category.colour);
+            }
+            
+            if (category.icon) {
+                const icon = document.createElement('span');
+                icon.className = 'category-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.textContent = category.icon;
+                button.appendChild(icon);
+            }
+            
+            const label = document.createElement('span');
+            label.className = 'lang-main';
+            label.setAttribute('data-translate-key', category.translationKey);
+            label.textContent = getCategoryLabel(category);
+            button.appendChild(label);
+            button.appendChild(createCountBadge());
+            
+            communityFilters.appendChild(button);
+        });
+        
+        syncCategoryButtons();
+    }
+
+    /**
+     * Creates the empty result count badge of a category button
+     * 
+     * @returns {HTMLSpanElement} Badge, filled in by updateCategoryCounts
+     */
+    function createCountBadge() {
+        const badge = document.createElement('span');
+        badge.className = 'filter-count category-count';
+        return badge;
+    }
+
+    /**
+     * Marks the selected category buttons as active
+     * 
+     * "All categories" is active when no single category is selected.
+     * 
+     * @modifies {HTMLElement} #community-filters - Sets the active class and aria-pressed
+     */
+    function syncCategoryButtons() {
+        const communityFilters = document.getElementById('community-filters');
+        if (!communityFilters) {
+            return;
+        }
+        
+        communityFilters.querySelectorAll('button').forEach(button => {
+            const isActive = button.dataset.allCategories
+                ? selectedCategories.length === 0
+                : selectedCategories.includes(button.getAttribute('data-filter'));
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Updates the result count badge on every category button
+     * 
+     * Each count is the number of services in that category that match the
+     * other active filters (language, "Open now", eligibility and search), so
+     * patrons can see where results are before choosing.
+     * 
+     * @modifies {HTMLElement} #community-filters - Updates the .category-count badges
+     */
+    function updateCategoryCounts() {
+        const communityFilters = document.getElementById('community-filters');
+        if (!communityFilters || !partnerDataLoaded) {
+            return;
+        }
+        
+        const matchingPartners = filterPartners(searchTerms, []);
+        communityFilters.querySelectorAll('button').forEach(button => {
+            const badge = button.querySelector('.category-count');
+            if (!badge) {
+                return;
+            }
+            const categoryId = button.getAttribute('data-filter');
+            const count = button.dataset.allCategories
+                ? matchingPartners.length
+                : matchingPartners.filter(partner => partner.categories.includes(categoryId)).length;
+            badge.textContent = String(count);
+            button.classList.toggle('empty-category', count === 0);
+        });
+    }
+
+    /**
+     * Sets up event listeners for language and community filter buttons
+     * 
+     * Attaches click event handlers to all filter buttons, manages active states,
+     * updates global filter variables, and triggers display updates. Handles both
+     * language selection and community category filtering.
+     * 
+     * @modifies {HTMLButtonElement} Adds/removes 'active' class from filter buttons
+     * @modifies {string} selectedLanguage - Updates global language filter
+     * @modifies {Array<string>} selectedCategories - Toggles categories; "All categories" clears the list
+     * @modifies {boolean} openNowOnly - Updates the global "Open now" toggle
+     * @modifies {Object} eligibilityFilter - Updates the global eligibility facets
+     * 
+     * @listens click - On language, community and eligibility filter buttons and the "Open now" toggle
+     * @listens change - On the target group drop-down
+     * @listens input - On the age field
+     * @calls applyTranslations() - When language filter changes
+     * @calls updateDisplay() - When community filter changes
+     * 
+     * @example
+     * setupFilterButtons(); // Enables all filter button interactions
+     */
+    function setupFilterButtons() {
+        const languageFilters = document.getElementById('language-filters');
+        const communityFilters = document.getElementById('community-filters');
+        const openNowToggle = document.getElementById('open-now-toggle');
+        const myLanguageToggle = document.getElementById('my-language-toggle');
+        const eligibilityFilters = document.getElementById('eligibility-filters');
+        const targetGroupFilter = document.getElementById('target-group-filter');
+        const ageFilter = document.getElementById('age-filter');
+        const searchInput = document.getElementById('search-input');
+        const locationInput = document.getElementById('location-input');
+        const nearMeButton = document.getElementById('near-me-button');
+        const sortSelect = document.getElementById('sort-select');
+        const groupToggle = document.getElementById('group-toggle');
+        const searchAreaButton = document.getElementById('search-area-button');
+        const clearAllFiltersBtn = document.getElementById('clear-all-filters');
+        
+        if (languageFilters) {
             languageFilters.addEventListener('click', (e) => {
                 const button = e.target.closest('button');
                 if (button) {
-                    const filterValue = button.getAttribute('data-filter');
-                    
-                    languageFilters.querySelectorAll('.active').forEach(btn => btn.classList.remove('active'));
-                    button.classList.add('active');
-                    
-                    selectedLanguage = filterValue;
+                    selectedLanguage = button.getAttribute('data-filter');
+                    syncLanguageButtons();
                     applyTranslations(selectedLanguage);
+                    updateUrl();
                 }
             });
         }
@@ -1236,51 +3932,208 @@ document.addEventListener('DOMContentLoaded', () => {
             communityFilters.addEventListener('click', (e) => {
                 const button = e.target.closest('button');
                 if (button) {
-                    const filterValue = button.getAttribute('data-filter');
+                    // Categories combine with OR: each click adds or removes one
+                    if (button.dataset.allCategories) {
+                        selectedCategories = [];
+                    } else {
+                        const filterValue = button.getAttribute('data-filter');
+                        selectedCategories = selectedCategories.includes(filterValue)
+                            ? selectedCategories.filter(categoryId => categoryId !== filterValue)
+                            : [...selectedCategories, filterValue];
+                    }
                     
-                    communityFilters.querySelectorAll('.active').forEach(btn => btn.classList.remove('active'));
-                    button.classList.add('active');
+                    syncCategoryButtons();
+                    updateDisplay();
+                    updateUrl();
+                }
+            });
+        }
+        
+        // Independent of the interface language: only narrows the list when switched on
+        if (myLanguageToggle) {
+            myLanguageToggle.addEventListener('click', () => {
+                myLanguageOnly = !myLanguageOnly;
+                myLanguageToggle.classList.toggle('active', myLanguageOnly);
+                myLanguageToggle.setAttribute('aria-pressed', String(myLanguageOnly));
+                updateDisplay();
+            });
+        }
+        
+        if (openNowToggle) {
+            openNowToggle.addEventListener('click', () => {
+                openNowOnly = !openNowOnly;
+                openNowToggle.classList.toggle('active', openNowOnly);
+                openNowToggle.setAttribute('aria-pressed', String(openNowOnly));
+                updateDisplay();
+            });
+        }
+        
+        if (eligibilityFilters) {
+            eligibilityFilters.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (button) {
+                    const active = !button.classList.contains('active');
+                    button.classList.toggle('active', active);
+                    button.setAttribute('aria-pressed', String(active));
                     
-                    selectedCommunity = filterValue;
+                    if (button.dataset.facet === 'referral') {
+                        eligibilityFilter.noReferral = active;
+                    } else {
+                        const cost = button.dataset.value;
+                        eligibilityFilter.costs = active
+                            ? [...eligibilityFilter.costs, cost]
+                            : eligibilityFilter.costs.filter(value => value !== cost);
+                    }
+                    updateDisplay();
+                }
+            });
+        }
+        
+        if (targetGroupFilter) {
+            targetGroupFilter.addEventListener('change', () => {
+                eligibilityFilter.targetGroup = targetGroupFilter.value;
+                updateDisplay();
+            });
+        }
+        
+        if (ageFilter) {
+            ageFilter.addEventListener('input', () => {
+                const age = parseInt(ageFilter.value, 10);
+                eligibilityFilter.age = Number.isNaN(age) ? null : age;
+                updateDisplay();
+            });
+        }
+        
+        if (searchInput) {
+            // One history entry per search: the first keystroke adds it, the rest update it
+            let searchEntryAdded = false;
+            let searchTimer = null;
+            const runSearch = () => {
+                clearTimeout(searchTimer);
+                searchTimer = null;
+                // Already applied, e.g. by a suggestion, "Clear all" or the Back button while the timer was waiting
+                if (searchInput.value.trim() === readUrlState().query) {
+                    return;
+                }
+                searchTerms = parseSearchQuery(searchInput.value);
+                updateDisplay();
+                updateUrl(searchEntryAdded ? 'replace' : 'push');
+                searchEntryAdded = true;
+            };
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+            });
+            // Enter or leaving the box searches straight away
+            searchInput.addEventListener('change', () => {
+                if (searchTimer) {
+                    runSearch();
+                }
+                searchEntryAdded = false;
+            });
+        }
+        
+        // Sorts as soon as a full suburb or postcode is typed or picked from the suggestions
+        if (locationInput) {
+            locationInput.addEventListener('input', () => {
+                const query = locationInput.value.trim();
+                const point = query ? resolvePlace(query) : null;
+                if (point || !query) {
+                    setReferencePoint(point);
+                }
+            });
+            
+            // Only complain once the person has finished typing
+            locationInput.addEventListener('change', () => {
+                const query = locationInput.value.trim();
+                if (query && !resolvePlace(query)) {
+                    referencePoint = null;
+                    locationMessageKey = 'locationNotFound';
                     updateDisplay();
                 }
             });
         }
         
+        if (nearMeButton) {
+            nearMeButton.addEventListener('click', useDeviceLocation);
+        }
+        
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                sortOrder = sortSelect.value;
+                updateDisplay();
+            });
+        }
+        
+        if (groupToggle) {
+            groupToggle.addEventListener('change', () => {
+                groupByCategory = groupToggle.checked;
+                updateDisplay();
+            });
+        }
+        
+        if (searchAreaButton) {
+            searchAreaButton.addEventListener('click', searchThisArea);
+        }
+        
         // Clear all filters functionality
         if (clearAllFiltersBtn) {
             clearAllFiltersBtn.addEventListener('click', () => {
                 // Reset to default values
                 selectedLanguage = 'English';
-                selectedCommunity = 'First Nations';
+                selectedCategories = getDefaultCategories();
+                openNowOnly = false;
+                myLanguageOnly = false;
+                eligibilityFilter = { costs: [], noReferral: false, targetGroup: '', age: null };
+                syncFacetControls();
+                
+                if (searchInput) searchInput.value = '';
+                searchTerms = [];
+                if (locationInput) locationInput.value = '';
+                referencePoint = null;
+                locationMessageKey = null;
+                sortOrder = 'default';
+                groupByCategory = false;
+                areaBounds = null;
+                if (searchAreaButton) searchAreaButton.hidden = true;
                 
                 // Reset language filter buttons
-                if (languageFilters) {
-                    languageFilters.querySelectorAll('.active').forEach(btn => btn.classList.remove('active'));
-                    const englishBtn = languageFilters.querySelector('[data-filter="English"]');
-                    if (englishBtn) englishBtn.classList.add('active');
-                }
+                syncLanguageButtons();
                 
                 // Reset community filter buttons
-                if (communityFilters) {
-                    communityFilters.querySelectorAll('.active').forEach(btn => btn.classList.remove('active'));
-                    const firstNationsBtn = communityFilters.querySelector('[data-filter="First Nations"]');
-                    if (firstNationsBtn) firstNationsBtn.classList.add('active');
-                }
+                syncCategoryButtons();
                 
                 // Apply changes
                 applyTranslations(selectedLanguage);
                 updateDisplay();
+                updateUrl();
             });
         }
+        
+        // Back and forward step through the filter changes recorded by updateUrl
+        window.addEventListener('popstate', () => {
+            applyUrlState(readUrlState());
+        });
+        
+        // A partner link opened while the page is showing, or left with the back button
+        window.addEventListener('hashchange', () => {
+            const slug = readPartnerHash();
+            if (slug && partnerDataLoaded) {
+                openPartnerLink(slug);
+            } else if (!slug && linkedPartnerSlug) {
+                linkedPartnerSlug = null;
+                updateDisplay();
+            }
+        });
     }
 
     /**
      * Starts the animated scrolling category text effect
      * 
      * Creates a rotating text animation in the page title that cycles through
-     * different community service categories. Uses fade transitions and
-     * updates the text content every 3 seconds.
+     * the generic "community" word and then every category in the registry,
+     * in display order. Uses fade transitions and updates the text content
+     * every 3 seconds.
      * 
      * @modifies {HTMLElement} #scrolling-category - Updates text content with animation
      * 
@@ -1293,10 +4146,8 @@ document.addEventListener('DOMContentLoaded', () => {
     let scrollingCategoryInterval = null;
     
     function startScrollingCategory() {
-        const categoryKeys = [
-            'scrollCommunity', 'scrollHealth', 'scrollArts', 'scrollYouth', 'scrollFamily', 
-            'scrollSupport', 'scrollCultural', 'scrollDisability', 'scrollEmergency', 'scrollGovernment'
-        ];
+        // Slot 0 is the generic word, the remaining slots follow the registry
+        const slotCount = categoryRegistry.length + 1;
         
         const scrollingElement = document.getElementById('scrolling-category');
         if (!scrollingElement) {
@@ -1313,17 +4164,11 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Function to update the text with current language
         function updateScrollingText() {
-            const currentTranslations = translations[selectedLanguage] || translations['English'];
-            const categoryKey = categoryKeys[currentIndex];
-            const categoryText = currentTranslations[categoryKey];
-            
-            if (categoryText && typeof categoryText === 'string' && categoryText !== 'undefined') {
-                scrollingElement.textContent = categoryText;
+            if (currentIndex === 0) {
+                const currentTranslations = translations[selectedLanguage] || translations['English'];
+                scrollingElement.textContent = currentTranslations.scrollCommunity || translations['English'].scrollCommunity;
             } else {
-                console.error('Invalid category text for key:', categoryKey, 'in language:', selectedLanguage);
-                // Fallback to English or default text
-                const fallbackText = translations['English'][categoryKey] || 'community';
-                scrollingElement.textContent = fallbackText;
+                scrollingElement.textContent = getCategoryLabel(categoryRegistry[currentIndex - 1]);
             }
         }
         
@@ -1332,7 +4177,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Start the interval
         scrollingCategoryInterval = setInterval(() => {
-            currentIndex = (currentIndex + 1) % categoryKeys.length;
+            currentIndex = (currentIndex + 1) % slotCount;
             updateScrollingText();
         }, 3000);
     }
@@ -1349,8 +4194,64 @@ document.addEventListener('DOMContentLoaded', () => {
     storeOriginalTexts();
     initializeMap();
     setupFilterButtons();
+    renderTargetGroupOptions();
     startScrollingCategory();
-    updateDisplay();
+    // A shared link restores its language, search and map view before anything is drawn
+    applyUrlState(readUrlState());
+    
+    // Opening hours still work without the holiday table, so a failed load is not fatal
+    const holidayRequest = loadPublicHolidays().catch(error => {
+        console.warn('⚠️ Public holidays unavailable, opening hours will ignore them:', error);
+        return new Map();
+    });
+    
+    // Without the gazetteer, validation skips the suburb check
+    const suburbRequest = loadSuburbs().catch(error => {
+        console.warn('⚠️ Suburb gazetteer unavailable, skipping the suburb check:', error);
+        return [];
+    });
+    
+    Promise.all([loadCategoryRegistry(), loadPartnerData(), holidayRequest, suburbRequest, loadSynonyms()])
+        .then(([categories, dataset, holidays, suburbs, synonyms]) => {
+            categoryRegistry = categories;
+            publicHolidays = holidays;
+            suburbGazetteer = suburbs;
+            renderSuburbOptions();
+            selectedCategories = resolveUrlCategories(pendingUrlCategories);
+            pendingUrlCategories = null;
+            renderCategoryButtons();
+            startScrollingCategory();
+            
+            sanitizedPartners = preparePartnerData(dataset);
+            searchIndex = buildSearchIndex(sanitizedPartners);
+            synonymLookup = buildSynonymLookup(synonyms);
+            partnerDataLoaded = true;
+            
+            // A query typed while the directory was loading applies straight away
+            const searchInput = document.getElementById('search-input');
+            if (searchInput && searchInput.value) {
+                searchTerms = parseSearchQuery(searchInput.value);
+            }
+            const locationInput = document.getElementById('location-input');
+            referencePoint = locationInput && locationInput.value.trim() ? resolvePlace(locationInput.value.trim()) : null;
+            if (referencePoint) {
+                sortOrder = 'distance';
+                programmaticMove = true;
+                map.setView([referencePoint.lat, referencePoint.lng], 13);
+            }
+            updateDisplay();
+            
+            const linkedSlug = readPartnerHash();
+            if (linkedSlug) {
+                openPartnerLink(linkedSlug);
+            }
+        })
+        .catch(error => {
+            console.error('❌ Error loading partner data:', error);
+            partnerDataLoaded = true;
+            updateDisplay();
+            showUserFriendlyError('Unable to load the service directory. Please check your connection and refresh the page.');
+        });
     
     console.log('Application initialized successfully');
     
@@ -243,7 +243,8 @@ class SecurityManager {
      * 
      * Applies appropriate sanitization to all fields in partner data objects
      * to prevent XSS attacks and ensure data integrity. Handles multilingual
-     * descriptions and validates contact information.
+     * descriptions, the sites in each partner's locations list, and validates
+     * contact information.
      * 
      * @public
      * @method
@@ -257,10 +258,21 @@ class SecurityManager {
         return partners.map(partner => ({
             ...partner,
             name: this.sanitizer.sanitizeText(partner.name),
-            address: this.sanitizer.sanitizeText(partner.address),
+            locations: Array.isArray(partner.locations) ? partner.locations.map(location => ({
+                ...location,
+                name: this.sanitizer.sanitizeText(location.name) || undefined,
+                address: this.sanitizer.sanitizeText(location.address) || undefined,
+                phone: this.sanitizer.sanitizePhone(location.phone) || undefined
+            })) : partner.locations,
             phone: this.sanitizer.sanitizePhone(partner.phone),
             email: this.sanitizer.sanitizeEmail(partner.email),
             website: this.sanitizer.sanitizeURL(partner.website),
+            contacts: Array.isArray(partner.contacts) ? partner.contacts.map(contact => (contact && typeof contact === 'object' ? {
+                type: this.sanitizer.sanitizeText(contact.type),
+                value: contact.type === 'webchat'
+                    ? this.sanitizer.sanitizeURL(contact.value)
+                    : this.sanitizer.sanitizePhone(contact.value)
+            } : contact)) : partner.contacts,
             description: Object.keys(partner.description).reduce((acc, lang) => {
                 acc[lang] = this.sanitizer.sanitizeText(partner.description[lang]);
                 return acc;
@@ -654,7 +666,8 @@ class SecurityManager {
      * 
      * Applies appropriate sanitization to all fields in partner data objects
      * to prevent XSS attacks and ensure data integrity. Handles multilingual
-     * descriptions and validates contact information.
+     * descriptions, the sites in each partner's locations list, and validates
+     * contact information.
      * 
      * @public
      * @method
@@ -668,10 +681,21 @@ class SecurityManager {
         return partners.map(partner => ({
             ...partner,
             name: this.sanitizer.sanitizeText(partner.name),
-            address: this.sanitizer.sanitizeText(partner.address),
+            locations: Array.isArray(partner.locations) ? partner.locations.map(location => ({
+                ...location,
+                name: this.sanitizer.sanitizeText(location.name) || undefined,
+                address: this.sanitizer.sanitizeText(location.address) || undefined,
+                phone: this.sanitizer.sanitizePhone(location.phone) || undefined
+            })) : partner.locations,
             phone: this.sanitizer.sanitizePhone(partner.phone),
             email: this.sanitizer.sanitizeEmail(partner.email),
             website: this.sanitizer.sanitizeURL(partner.website),
+            contacts: Array.isArray(partner.contacts) ? partner.contacts.map(contact => (contact && typeof contact === 'object' ? {
+                type: this.sanitizer.sanitizeText(contact.type),
+                value: contact.type === 'webchat'
+                    ? this.sanitizer.sanitizeURL(contact.value)
+                    : this.sanitizer.sanitizePhone(contact.value)
+            } : contact)) : partner.contacts,
             description: Object.keys(partner.description).reduce((acc, lang) => {
                 acc[lang] = this.sanitizer.sanitizeText(partner.description[lang]);
                 return acc;
@@ -6,13 +6,25 @@
  * Caches essential resources and enables the app to work without internet.
  */
 
-const CACHE_NAME = 'community-resources-v1';
+const CACHE_NAME = 'community-resources-v6';
+const DATA_PATH = '/data/';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/script.js',
     '/styles.css',
     '/security-implementation.js',
+    '/partner-validation.js',
+    '/data/partners.json',
+    '/data/categories.json',
+    '/data/public-holidays.json',
+    '/data/suburbs.json',
+    '/data/synonyms/english.json',
+    '/data/synonyms/mandarin.json',
+    '/data/synonyms/cantonese.json',
+    '/data/synonyms/nepali.json',
+    '/data/synonyms/italian.json',
+    '/data/synonyms/greek.json',
     '/lib/leaflet.js',
     '/lib/leaflet.css',
     '/lib/qrcode.js',
@@ -46,6 +58,25 @@ self.addEventListener('activate', event => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
+    // Directory data is updated without a code deploy, so prefer the network
+    // copy and keep the cache only as an offline fallback
+    if (new URL(event.request.url).pathname.includes(DATA_PATH)) {
+        event.respondWith(
+            fetch(event.request)
+                .then(response => {
+                    // A 404 or server error must not replace the last good copy
+                    if (!response.ok) {
+                        return caches.match(event.request).then(cached => cached || response);
+                    }
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                    return response;
+                })
+                .catch(() => caches.match(event.request))
+        );
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {
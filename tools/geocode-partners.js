@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Offline Geocoding Tool for Partner Addresses
+ *
+ * Geocodes the address of every partner site against the bundled gazetteer
+ * (data/suburbs.json and data/streets.json) and compares the result with the
+ * stored coordinates. Nothing is sent over the network.
+ *
+ * The dataset is first checked with validatePartnerData from
+ * partner-validation.js, the same rules the web page uses.
+ *
+ * Usage:
+ *   node tools/geocode-partners.js                 Check stored coordinates
+ *   node tools/geocode-partners.js --write         Also fill in missing coordinates
+ *
+ * Options:
+ *   --write                  Fill lat/lng for sites that have none. Stored coordinates are never changed,
+ *                            and services without in-person delivery are never given coordinates.
+ *   --min-confidence <0-1>   Lowest confidence used by --write (default 0.6)
+ *   --data <path>            Partner dataset (default data/partners.json)
+ *
+ * Exits with code 1 when the dataset fails validation, a stored coordinate
+ * is far from its geocoded address, or the filled-in dataset would fail
+ * validation (the file is then left unchanged).
+ *
+ * @fileoverview Offline geocoder and coordinate checker for data/partners.json
+ * @version 1.0.0
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    validatePartnerData,
+    findSuburbInAddress,
+    distanceKm,
+    hasCoordinates,
+    isSiteBased,
+    SUBURB_MISMATCH_KM
+} = require('../partner-validation');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Confidence score of each kind of gazetteer match (0 to 1)
+const CONFIDENCE = {
+    street: 0.7,
+    suburbAndPostcode: 0.5,
+    suburb: 0.4,
+    postcode: 0.3
+};
+
+// A street match is more precise than a suburb centroid, so it allows less distance
+const STREET_MISMATCH_KM = 0.5;
+
+// Abbreviations of street types that addresses often use
+const STREET_TYPE_ABBREVIATIONS = {
+    'street': 'st',
+    'road': 'rd',
+    'avenue': 'ave',
+    'parade': 'pde',
+    'highway': 'hwy',
+    'lane': 'ln',
+    'place': 'pl',
+    'drive': 'dr',
+    'crescent': 'cres'
+};
+
+/**
+ * Parses the command line options
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { write, minConfidence, dataFile }
+ * @throws {Error} If an option is unknown or has an invalid value
+ */
+function parseArgs(args) {
+    const options = {
+        write: false,
+        minConfidence: 0.6,
+        dataFile: path.join(DATA_DIR, 'partners.json')
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--write') {
+            options.write = true;
+        } else if (args[i] === '--min-confidence') {
+            options.minConfidence = Number(args[++i]);
+            if (!(options.minConfidence >= 0 && options.minConfidence <= 1)) {
+                throw new Error('--min-confidence must be a number from 0 to 1');
+            }
+        } else if (args[i] === '--data') {
+            options.dataFile = path.resolve(args[++i] || '');
+        } else {
+            throw new Error(`Unknown option '${args[i]}'`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Reads and parses a JSON file
+ *
+ * @param {string} file - Path to the file
+ * @returns {Object} Parsed document
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Normalises text for matching: lowercase, hyphens as spaces, single spaces
+ *
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalise(text) {
+    return text.toLowerCase().replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escapes the characters that have a special meaning in a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Text that matches itself when used in a RegExp
+ *
+ * @example
+ * escapeRegExp('St. John\'s Road'); // "St\\. John's Road"
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks whether an address mentions a street, in full or abbreviated form
+ *
+ * @param {string} address - Normalised address
+ * @param {string} streetName - Street name from the gazetteer, e.g. "Butler Road"
+ * @returns {boolean} True if "butler road" or "butler rd" appears as whole words
+ */
+function mentionsStreet(address, streetName) {
+    const name = normalise(streetName);
+    const words = name.split(' ');
+    const type = words[words.length - 1];
+    const variants = [name];
+    if (STREET_TYPE_ABBREVIATIONS[type]) {
+        variants.push([...words.slice(0, -1), STREET_TYPE_ABBREVIATIONS[type]].join(' '));
+    }
+    return variants.some(variant => new RegExp(`(^|[^a-z])${escapeRegExp(variant)}([^a-z]|$)`).test(address));
+}
+
+/**
+ * Geocodes an address with the offline gazetteer
+ *
+ * Tries a street in the suburb named in the address first, then the suburb
+ * centroid, then the centroid of the suburbs sharing the address postcode.
+ *
+ * @param {string} address - Street address
+ * @param {Object} gazetteer - { suburbs, streets } entries from the data files
+ * @returns {Object|null} { lat, lng, confidence, match, notes }, or null if nothing matched
+ *
+ * @example
+ * geocodeAddress('41 Dora Street, Hurstville', gazetteer);
+ * // { lat: -33.969, lng: 151.101, confidence: 0.7, match: 'street Dora Street, Hurstville', notes: [] }
+ */
+function geocodeAddress(address, gazetteer) {
+    const notes = [];
+    const postcodes = address.match(/\b\d{4}\b/g);
+    const postcode = postcodes ? postcodes[postcodes.length - 1] : null;
+    const suburb = findSuburbInAddress(address, gazetteer.suburbs);
+
+    if (suburb) {
+        let penalty = 0;
+        if (postcode && postcode !== suburb.postcode) {
+            notes.push(`postcode ${postcode} does not match ${suburb.name} (${suburb.postcode})`);
+            penalty = 0.1;
+        }
+
+        const normalisedAddress = normalise(address);
+        const street = gazetteer.streets.find(entry => entry.suburb === suburb.name && mentionsStreet(normalisedAddress, entry.name));
+        if (street) {
+            return {
+                lat: street.lat,
+                lng: street.lng,
+                confidence: CONFIDENCE.street - penalty,
+                match: `street ${street.name}, ${street.suburb}`,
+                notes
+            };
+        }
+
+        return {
+            lat: suburb.lat,
+            lng: suburb.lng,
+            confidence: (postcode === suburb.postcode ? CONFIDENCE.suburbAndPostcode : CONFIDENCE.suburb) - penalty,
+            match: `suburb ${suburb.name}`,
+            notes
+        };
+    }
+
+    const postcodeSuburbs = postcode ? gazetteer.suburbs.filter(entry => entry.postcode === postcode) : [];
+    if (postcodeSuburbs.length > 0) {
+        const average = key => postcodeSuburbs.reduce((sum, entry) => sum + entry[key], 0) / postcodeSuburbs.length;
+        return {
+            lat: average('lat'),
+            lng: average('lng'),
+            confidence: CONFIDENCE.postcode,
+            match: `postcode ${postcode} (${postcodeSuburbs.map(entry => entry.name).join(', ')})`,
+            notes
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Formats the dataset the way data/partners.json is laid out
+ *
+ * Four-space indentation, with short lists of plain values kept on one line.
+ *
+ * @param {Object} dataset - Partner dataset
+ * @returns {string} JSON text ending in a newline
+ */
+function formatDataset(dataset) {
+    const json = JSON.stringify(dataset, null, 4);
+    return json.replace(/\[\s*\n\s*((?:(?:"[^"\n]*"|-?[\d.]+|true|false|null),?\s*\n\s*)+)\]/g, (list, inner) => {
+        const oneLine = `[${inner.split(/,?\s*\n\s*/).filter(Boolean).join(', ')}]`;
+        return oneLine.length < 100 ? oneLine : list;
+    }) + '\n';
+}
+
+/**
+ * Runs the tool
+ *
+ * @param {Array<string>} args - Command line arguments after the script name
+ * @returns {number} Process exit code
+ */
+function main(args) {
+    const options = parseArgs(args);
+    const dataset = readJson(options.dataFile);
+    const categories = readJson(path.join(DATA_DIR, 'categories.json')).categories;
+    const gazetteer = {
+        suburbs: readJson(path.join(DATA_DIR, 'suburbs.json')).suburbs,
+        streets: readJson(path.join(DATA_DIR, 'streets.json')).streets
+    };
+
+    console.log(`📦 Partner dataset v${dataset.version}: ${dataset.partners.length} records`);
+    console.log(`🗺️  Gazetteer: ${gazetteer.suburbs.length} suburbs, ${gazetteer.streets.length} streets`);
+
+    const validation = validatePartnerData(dataset.partners, categories, {
+        staleAfterMonths: dataset.staleAfterMonths,
+        suburbs: gazetteer.suburbs
+    });
+    if (!validation.isValid) {
+        console.error('❌ Partner data validation failed:');
+        validation.errors.forEach(error => console.error(`   ${error}`));
+        return 1;
+    }
+    console.log(`✅ Partner data validation passed (${validation.warnings.length} warnings)\n`);
+
+    const counts = { checked: 0, far: 0, filled: 0, unmatched: 0 };
+
+    dataset.partners.forEach(partner => {
+        partner.locations.forEach(location => {
+            if (!location.address) {
+                return;
+            }
+
+            const label = `${partner.id} ${partner.name} – ${location.address}`;
+            const result = geocodeAddress(location.address, gazetteer);
+            if (!result) {
+                counts.unmatched++;
+                console.log(`❓ ${label}\n   No match in the gazetteer`);
+                return;
+            }
+
+            const summary = `${result.match}, confidence ${result.confidence.toFixed(2)}`;
+            const notes = result.notes.map(note => `\n   Note: ${note}`).join('');
+
+            if (hasCoordinates(location)) {
+                counts.checked++;
+                const distance = distanceKm(location, result);
+                const limit = result.match.startsWith('street') ? STREET_MISMATCH_KM : SUBURB_MISMATCH_KM;
+                const far = distance > limit;
+                if (far) {
+                    counts.far++;
+                }
+                console.log(`${far ? '⚠️ ' : '✅'} ${label}\n   ${summary}; stored point is ${distance.toFixed(1)} km away` +
+                    `${far ? ` (more than ${limit} km)` : ''}${notes}`);
+            } else if (options.write && !isSiteBased(partner)) {
+                // Validation rejects coordinates on phone and online services
+                console.log(`📍 ${label}\n   ${summary}; not filled in, the service has no in-person delivery${notes}`);
+            } else if (options.write && result.confidence >= options.minConfidence) {
+                counts.filled++;
+                location.lat = Number(result.lat.toFixed(4));
+                location.lng = Number(result.lng.toFixed(4));
+                console.log(`➕ ${label}\n   ${summary}; filled in ${location.lat}, ${location.lng}${notes}`);
+            } else {
+                console.log(`📍 ${label}\n   ${summary}; no stored point, geocoded ${result.lat.toFixed(4)}, ${result.lng.toFixed(4)}${notes}`);
+            }
+        });
+    });
+
+    console.log(`\n📊 ${counts.checked} checked, ${counts.far} far from their address, ` +
+        `${counts.unmatched} not found, ${counts.filled} filled in`);
+
+    if (counts.filled > 0) {
+        const recheck = validatePartnerData(dataset.partners, categories, {
+            staleAfterMonths: dataset.staleAfterMonths,
+            suburbs: gazetteer.suburbs
+        });
+        if (!recheck.isValid) {
+            console.error('❌ The filled-in dataset fails validation, nothing was written:');
+            recheck.errors.forEach(error => console.error(`   ${error}`));
+            return 1;
+        }
+        fs.writeFileSync(options.dataFile, formatDataset(dataset));
+        console.log(`💾 Updated ${path.relative(process.cwd(), options.dataFile)}. Remember to increase "version" and update "generatedAt".`);
+    }
+
+    return counts.far > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { geocodeAddress, formatDataset };